@@ -0,0 +1,103 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Firmware images uploaded for MCU updates are kept in the app's user data
+const USERDATA = '/userdata';
+
+/**
+ * Returns the device with MCU update support with the given ID (the Zigbee device token).
+ */
+function getMcuOtaDevice(homey, id) {
+  for (const driver of Object.values(homey.drivers.getDrivers())) {
+    for (const device of driver.getDevices()) {
+      const { token, subDeviceId } = device.getData();
+      if (token === id && !subDeviceId && typeof device.startMcuOta === 'function') return device;
+    }
+  }
+  throw new Error(`No device with MCU update support found for ${id}`);
+}
+
+module.exports = {
+
+  /**
+   * Returns the datapoints recorded by Tuya devices in discovery mode.
+   * GET /api/app/com.MyZigbee.Devices/discovery
+   */
+  async getDiscoveredDataPoints({ homey }) {
+    const result = [];
+    for (const driver of Object.values(homey.drivers.getDrivers())) {
+      for (const device of driver.getDevices()) {
+        if (typeof device.getDiscoveredDataPoints !== 'function') continue;
+
+        result.push({
+          name: device.getName(),
+          driver: driver.id,
+          manufacturerName: device.getSetting('zb_manufacturer_name'),
+          productId: device.getSetting('zb_product_id'),
+          discovery: device.getSetting('tuya_discovery') === true,
+          dataPoints: device.getDiscoveredDataPoints(),
+        });
+      }
+    }
+    return result;
+  },
+
+  /**
+   * Returns the MCU firmware (update) status of all Tuya devices.
+   * GET /api/app/com.MyZigbee.Devices/ota
+   */
+  async getMcuOtaStatus({ homey }) {
+    const result = [];
+    for (const driver of Object.values(homey.drivers.getDrivers())) {
+      for (const device of driver.getDevices()) {
+        if (typeof device.getMcuOtaStatus !== 'function' || device.getData().subDeviceId) continue;
+
+        result.push({
+          id: device.getData().token,
+          name: device.getName(),
+          driver: driver.id,
+          manufacturerName: device.getSetting('zb_manufacturer_name'),
+          mcuVersion: device.getMcuVersion(),
+          update: device.getMcuOtaStatus(),
+        });
+      }
+    }
+    return result;
+  },
+
+  /**
+   * Starts an MCU firmware update. The body holds the image `version` (e.g. "1.0.8") and either
+   * the base64 encoded `image`, or the name of a `file` already in the app's user data.
+   * POST /api/app/com.MyZigbee.Devices/ota/:id
+   */
+  async startMcuOta({ homey, params, body = {} }) {
+    const device = getMcuOtaDevice(homey, params.id);
+    if (!body.version) throw new Error('Missing image version');
+
+    let file;
+    if (body.image) {
+      file = path.join(USERDATA, `mcu-ota-${params.id}.bin`);
+      await fs.promises.writeFile(file, Buffer.from(body.image, 'base64'));
+    } else if (body.file) {
+      file = path.join(USERDATA, path.basename(body.file));
+    } else {
+      throw new Error('Missing image or file');
+    }
+
+    await device.startMcuOta(file, body.version);
+    return device.getMcuOtaStatus();
+  },
+
+  /**
+   * Cancels a running MCU firmware update.
+   * DELETE /api/app/com.MyZigbee.Devices/ota/:id
+   */
+  async cancelMcuOta({ homey, params }) {
+    const device = getMcuOtaDevice(homey, params.id);
+    await device.cancelMcuOta();
+    return device.getMcuOtaStatus();
+  },
+
+};
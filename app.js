@@ -9,6 +9,28 @@ module.exports = class MyApp extends Homey.App {
    */
   async onInit() {
     this.log('MyApp has been initialized');
+
+    this.registerTuyaFlowCards();
+  }
+
+  /**
+   * Registers the Flow cards shared by all devices built on TuyaSpecificClusterDevice.
+   */
+  registerTuyaFlowCards() {
+    this.homey.flow.getActionCard('tuya_write_dp')
+      .registerRunListener(async (args) => {
+        await args.device.writeFlowDataPoint(args.dp, args.type, args.value);
+      });
+
+    this.homey.flow.getActionCard('tuya_set_weekly_schedule')
+      .registerRunListener(async (args) => {
+        await args.device.setWeeklySchedule(args.days, args.schedule);
+      });
+
+    this.homey.flow.getDeviceTriggerCard('tuya_dp_reported')
+      .registerRunListener(async (args, state) => {
+        return args.dp === 0 || args.dp === state.dp;
+      });
   }
 
 };
@@ -3,54 +3,15 @@
 const { Cluster, CLUSTER } = require('zigbee-clusters');
 const TuyaSpecificCluster = require('../../lib/TuyaSpecificCluster');
 const TuyaSpecificClusterDevice = require('../../lib/TuyaSpecificClusterDevice');
+const { TUYA_DATA_TYPES } = require('../../lib/TuyaHelpers');
 
 Cluster.addCluster(TuyaSpecificCluster);
 
-// Tuya Data Point IDs for ZG-303Z Soil Moisture Sensor
-// Based on Zigbee2MQTT configuration for _TZE200_wqashyqo
-// Reference: https://github.com/Koenkk/zigbee2mqtt/blob/master/lib/extension/bridge.ts
-const DP_HANDLERS = {
-    // DP 1: Water warning (enum: 0=none, 1=alarm)
-    1: { handler: 'waterWarning' },
-
-    // DP 101: Temperature (divided by 10) — new firmware
-    101: { handler: 'temperature', divideBy: 10 },
-
-    // DP 107: Soil Moisture (raw percentage)
-    107: { handler: 'soilMoisture' },
-
-    // DP 108: Battery (raw percentage)
-    108: { handler: 'battery' },
-
-    // DP 109: Air Humidity (raw percentage)
-    109: { handler: 'humidity' },
-
-    // Settings/Calibration DPs
-    102: { handler: 'setting' },  // soil_calibration
-    104: { handler: 'setting' },  // temperature_calibration
-    105: { handler: 'setting' },  // humidity_calibration
-    106: { handler: 'setting' },  // temperature_unit (enum: 0=C, 1=F)
-    110: { handler: 'setting' },  // soil_warning threshold
-    111: { handler: 'setting' },  // temperature_sampling interval
-    112: { handler: 'setting' },  // soil_sampling interval
-
-    // Legacy DPs (for other firmware variants - keep for compatibility)
-    3: { handler: 'soilMoisture' },
-    5: { handler: 'temperature', divideBy: 10 },
-    14: { handler: 'waterWarning' },
-    15: { handler: 'battery' },
-};
-
-// Datapoint IDs for writing settings (based on Zigbee2MQTT)
-const DP_WRITE = {
-    SOIL_CALIBRATION: 102,
-    TEMP_CALIBRATION: 104,
-    HUMIDITY_CALIBRATION: 105,
-    TEMP_UNIT: 106,
-    SOIL_WARNING_THRESHOLD: 110,
-    TEMP_SAMPLING_INTERVAL: 111,
-    SOIL_SAMPLING_INTERVAL: 112,
-};
+// MCU firmware of the two DP sets, picked by the profile from the reported `tuya_mcu_version`.
+// Legacy firmware is assumed to report an MCU version below 1.0.0. While the version is
+// unknown, the first set-specific DP the device sends decides the set, see `matchesDataPointSet`.
+const NEW_FIRMWARE = '>=1.0.0';
+const LEGACY_FIRMWARE = '<1.0.0';
 
 // Default settings values
 const DEFAULTS = {
@@ -59,16 +20,6 @@ const DEFAULTS = {
     CALIBRATION: 0,
 };
 
-// Tuya data types
-const dataTypes = {
-    raw: 0,
-    bool: 1,
-    value: 2,
-    string: 3,
-    enum: 4,
-    bitmap: 5,
-};
-
 // Helper functions
 const clampNumber = (value, min, max) => {
     if (typeof value !== 'number' || isNaN(value)) return min;
@@ -79,9 +30,7 @@ const clampPercent = (value) => clampNumber(value, 0, 100);
 
 const clampInt = (value, min, max) => Math.round(clampNumber(value, min, max));
 
-const rawTemperatureTimes10ToCelsius = (raw) => raw / 10;
-
-const toTuyaTemperatureCalibrationTenths = (celsius) => clampInt(celsius * 10, -20, 20);
+const toTuyaTemperatureCalibration = (celsius) => clampNumber(celsius, -2, 2);
 
 const toTuyaPercentCalibration = (percent) => clampInt(percent, -30, 30);
 
@@ -93,45 +42,64 @@ const computeWaterAlarmFromSoilMoisture = ({ soilMoisturePercent, thresholdPerce
     return soilMoisturePercent < thresholdPercent;
 };
 
-const convertMultiByteNumberPayloadToSingleDecimalNumber = (chunks) => {
-    let value = 0;
-    for (let i = 0; i < chunks.length; i++) {
-        value = value << 8;
-        value += chunks[i];
-    }
-    return value;
-};
+// Z2M confirms DP 107 reports raw percentage directly. Legacy DP 3 may report a value above
+// 100 with special encoding, its last byte is the percentage.
+const fromSoilMoisture = value => clampPercent(value > 100 ? value & 0xFF : value);
 
-const getDataValue = (dpValue) => {
-    switch (dpValue.datatype) {
-        case dataTypes.raw:
-            return dpValue.data;
-        case dataTypes.bool:
-            return dpValue.data[0] === 1;
-        case dataTypes.value:
-            return convertMultiByteNumberPayloadToSingleDecimalNumber(dpValue.data);
-        case dataTypes.string:
-            let dataString = '';
-            for (let i = 0; i < dpValue.data.length; ++i) {
-                dataString += String.fromCharCode(dpValue.data[i]);
-            }
-            return dataString;
-        case dataTypes.enum:
-            return dpValue.data[0];
-        case dataTypes.bitmap:
-            return convertMultiByteNumberPayloadToSingleDecimalNumber(dpValue.data);
-        default:
-            return dpValue.data;
-    }
+// Tuya Data Points for ZG-303Z Soil Moisture Sensor
+// Based on Zigbee2MQTT configuration for _TZE200_wqashyqo
+// Reference: https://github.com/Koenkk/zigbee2mqtt/blob/master/lib/extension/bridge.ts
+// Values are signed so temperatures below 0 °C are read correctly.
+const dataPoints = {
+    waterWarning: { dp: 1, type: 'enum', capability: 'alarm_water_shortage', from: Boolean, firmware: NEW_FIRMWARE },     // 0=none, 1=alarm
+    temperature: { dp: 101, type: 'value', signed: true, scale: 1, capability: 'measure_temperature', firmware: NEW_FIRMWARE },
+    soilMoisture: { dp: 107, type: 'value', capability: 'measure_soil_moisture', from: fromSoilMoisture, firmware: NEW_FIRMWARE },
+    battery: { dp: 108, type: 'value', capability: 'measure_battery', from: clampPercent, firmware: NEW_FIRMWARE },
+    humidity: { dp: 109, type: 'value', capability: 'measure_humidity', from: clampPercent },
+
+    // Settings, with the conversion to the value the device expects
+    soilCalibration: {
+        dp: 102, type: 'value', signed: true, setting: 'soil_calibration',
+        to: value => toTuyaPercentCalibration(value ?? DEFAULTS.CALIBRATION),
+    },
+    temperatureCalibration: {
+        dp: 104, type: 'value', signed: true, scale: 1, setting: 'temperature_calibration',
+        to: value => toTuyaTemperatureCalibration(value ?? DEFAULTS.CALIBRATION),
+    },
+    humidityCalibration: {
+        dp: 105, type: 'value', signed: true, setting: 'humidity_calibration',
+        to: value => toTuyaPercentCalibration(value ?? DEFAULTS.CALIBRATION),
+    },
+    temperatureUnit: { dp: 106, type: 'enum', map: ['celsius', 'fahrenheit'] },
+    soilWarning: {
+        dp: 110, type: 'value', setting: 'soil_warning',
+        to: value => toTuyaSoilWarningThresholdPercent(value ?? DEFAULTS.SOIL_WARNING_PERCENT),
+    },
+    temperatureSampling: {
+        dp: 111, type: 'value', setting: 'temperature_sampling',
+        to: value => toTuyaSamplingSeconds(value ?? DEFAULTS.SAMPLING_SECONDS),
+    },
+    soilSampling: {
+        dp: 112, type: 'value', setting: 'soil_sampling',
+        to: value => toTuyaSamplingSeconds(value ?? DEFAULTS.SAMPLING_SECONDS),
+    },
+
+    // Legacy DPs (for other firmware variants - keep for compatibility)
+    legacySoilMoisture: { dp: 3, type: 'value', capability: 'measure_soil_moisture', from: fromSoilMoisture, firmware: LEGACY_FIRMWARE },
+    legacyTemperature: { dp: 5, type: 'value', signed: true, scale: 1, capability: 'measure_temperature', firmware: LEGACY_FIRMWARE },
+    legacyWaterWarning: { dp: 14, type: 'enum', capability: 'alarm_water_shortage', from: Boolean, firmware: LEGACY_FIRMWARE },
+    legacyBattery: { dp: 15, type: 'value', capability: 'measure_battery', from: clampPercent, firmware: LEGACY_FIRMWARE },
 };
 
+// Settings written to the device
+const DEVICE_SETTINGS = Object.values(dataPoints).filter(entry => entry.setting).map(entry => entry.setting);
+
 class ZG303ZSoilSensor extends TuyaSpecificClusterDevice {
 
     async onNodeInit({ zclNode }) {
         this.printNode();
 
         this.lastSoilMoisturePercent = null;
-        this.pendingSettingsApply = false;
         this.lastWakeHandledAt = 0;
 
         // Get endpoint 1
@@ -151,10 +119,9 @@ class ZG303ZSoilSensor extends TuyaSpecificClusterDevice {
             await this.configureMagicPacket(endpoint).catch(this.error);
         }
 
-        // Set up Tuya cluster listeners
-        this.setupTuyaListeners(zclNode);
+        this.registerDataPoints(dataPoints);
 
-        // Register for raw cluster commands on the Tuya cluster
+        // Watch raw Tuya frames to detect the wake window
         this.registerRawReportHandler(zclNode);
 
         // For sleepy devices, defer commands until device wakes up
@@ -162,27 +129,13 @@ class ZG303ZSoilSensor extends TuyaSpecificClusterDevice {
         if (!isSleepy) {
             await this.applyDeviceSettings().catch(this.error);
             await this.readBattery(endpoint).catch(this.error);
-        } else {
+        } else if (isFirstInit) {
             // Queue a settings push for the first time the device wakes up.
             // Writing settings during the wake window keeps the device awake
             // long enough that it responds with its current sensor values.
-            this.pendingSettingsApply = true;
-        }
-    }
-
-    setupTuyaListeners(zclNode) {
-        const endpoint = zclNode.endpoints[1];
-        if (!endpoint) return;
-
-        const tuyaCluster = endpoint.clusters.tuya;
-        if (tuyaCluster) {
-            tuyaCluster.on('reporting', (args) => {
-                this.processTuyaReport(args);
-            });
-
-            tuyaCluster.on('response', (args) => {
-                this.processTuyaReport(args);
-            });
+            // Later changes are queued by `onSettings`, the queue persists across restarts.
+            // Celsius is enforced in `onDeviceAwake`, the queue only holds user settings
+            await this.queueDeviceSettings(DEVICE_SETTINGS).catch(this.error);
         }
     }
 
@@ -197,7 +150,6 @@ class ZG303ZSoilSensor extends TuyaSpecificClusterDevice {
         if (originalHandleFrame) {
             endpoint.handleFrame = (clusterId, frame, meta) => {
                 if (clusterId === TUYA_CLUSTER_ID) {
-                    this.parseRawTuyaFrame(frame);
                     // Device is awake since we received data - trigger wake handler
                     this.onDeviceAwake().catch(this.error);
                 }
@@ -206,184 +158,74 @@ class ZG303ZSoilSensor extends TuyaSpecificClusterDevice {
         }
     }
 
-    parseRawTuyaFrame(frame) {
-        try {
-            // ZCL header parsing
-            if (frame.length < 3) return;
-
-            const frameControl = frame.readUInt8(0);
-            const manufacturerSpecific = (frameControl & 0x04) !== 0;
-            const headerLen = manufacturerSpecific ? 5 : 3;
-
-            if (frame.length < headerLen + 2) return;
-
-            let offset = headerLen;
-            offset += 2; // Skip status and transid
-
-            // Parse datapoints
-            while (frame.length - offset >= 4) {
-                const dp = frame.readUInt8(offset);
-                const datatype = frame.readUInt8(offset + 1);
-                const len = frame.readUInt16BE(offset + 2);
-                offset += 4;
+    async onDataPoint(data, endpoint) {
+        const entry = this._dataPointsByDp && this._dataPointsByDp.get(`${endpoint}:${data.dp}`);
+        if (entry && !this.matchesDataPointSet(entry.firmware)) return;
 
-                if (len < 0 || frame.length - offset < len) break;
+        await super.onDataPoint(data, endpoint);
 
-                const data = frame.slice(offset, offset + len);
-                offset += len;
-
-                this.processDataPoint(dp, datatype, data);
-            }
-        } catch (error) {
-            this.error('Error parsing raw Tuya frame:', error);
+        // Local alarm derived from threshold setting
+        if (entry && entry.capability === 'measure_soil_moisture') {
+            this.lastSoilMoisturePercent = this.getCapabilityValue('measure_soil_moisture');
+            await this.updateWaterAlarm(this.getSetting('soil_warning'));
         }
     }
 
-    processTuyaReport(args) {
-        if (!args) return;
-
-        const { dp, datatype, data, length } = args;
-
-        if (typeof dp === 'number' && data) {
-            // Slice to just the bytes for this DP using the reported length.
-            // ZCLDataTypes.buffer reads all remaining bytes, so 'data' may
-            // contain multiple concatenated DPs if the device sent them in one frame.
-            const buffer = Buffer.isBuffer(data) ? data : Buffer.from(Array.isArray(data) ? data : [data]);
-            const dpLen = typeof length === 'number' ? length : buffer.length;
-            const dpData = buffer.slice(0, dpLen);
-            this.processDataPoint(dp, datatype || 0, dpData);
-        }
+    /**
+     * Sets the water shortage alarm when the last soil moisture is below the threshold.
+     *
+     * @param {number} [threshold] - Soil warning threshold (%)
+     */
+    async updateWaterAlarm(threshold) {
+        if (typeof this.lastSoilMoisturePercent !== 'number' || !this.hasCapability('alarm_water_shortage')) return;
+
+        const alarm = computeWaterAlarmFromSoilMoisture({
+            soilMoisturePercent: this.lastSoilMoisturePercent,
+            thresholdPercent: threshold ?? DEFAULTS.SOIL_WARNING_PERCENT,
+        });
+        await this.setCapabilityValue('alarm_water_shortage', alarm).catch(this.error);
     }
 
-    parseDpValue(datatype, data) {
-        switch (datatype) {
-            case dataTypes.bool:
-                return data.readUInt8(0) !== 0;
-            case dataTypes.value:
-                if (data.length >= 4) return data.readInt32BE(0);
-                if (data.length >= 2) return data.readInt16BE(0);
-                return data.readUInt8(0);
-            case dataTypes.enum:
-                return data.readUInt8(0);
-            default:
-                if (data.length >= 4) return data.readInt32BE(0);
-                if (data.length >= 2) return data.readUInt16BE(0);
-                if (data.length >= 1) return data.readUInt8(0);
-                return 0;
-        }
-    }
-
-    processDataPoint(dp, datatype, data) {
-        const mapping = DP_HANDLERS[dp];
-        if (!mapping) return;
-
-        const rawValue = this.parseDpValue(datatype, data);
-
-        // Apply divideBy transformation if specified in mapping
-        const value = mapping.divideBy && typeof rawValue === 'number'
-            ? rawValue / mapping.divideBy
-            : rawValue;
-
-        // Dispatch based on handler type
-        switch (mapping.handler) {
-            case 'temperature':
-                if (typeof rawValue === 'number') {
-                    const tempC = rawTemperatureTimes10ToCelsius(rawValue);
-                    if (this.hasCapability('measure_temperature')) {
-                        this.setCapabilityValue('measure_temperature', tempC).catch(this.error);
-                    }
-                }
-                break;
-
-            case 'soilMoisture':
-                if (typeof rawValue === 'number') {
-                    // Z2M confirms DP 107 reports raw percentage directly
-                    // However, DP 5 (legacy) may report differently - handle both cases
-                    let soilMoisture = rawValue;
-
-                    // If value > 100, it might be from legacy DP 5 with special encoding
-                    // Extract last byte as percentage
-                    if (soilMoisture > 100) {
-                        soilMoisture = rawValue & 0xFF;
-                    }
-
-                    soilMoisture = clampPercent(soilMoisture);
-                    this.lastSoilMoisturePercent = soilMoisture;
-
-                    if (this.hasCapability('measure_soil_moisture')) {
-                        this.setCapabilityValue('measure_soil_moisture', soilMoisture).catch(this.error);
-                    }
-
-                    // Local alarm derived from threshold setting
-                    const threshold = this.getSetting('soil_warning') ?? DEFAULTS.SOIL_WARNING_PERCENT;
-                    const alarm = computeWaterAlarmFromSoilMoisture({
-                        soilMoisturePercent: soilMoisture,
-                        thresholdPercent: threshold,
-                    });
-                    if (this.hasCapability('alarm_water_shortage')) {
-                        this.setCapabilityValue('alarm_water_shortage', alarm).catch(this.error);
-                    }
-                }
-                break;
-
-            case 'battery':
-                if (typeof value === 'number') {
-                    const battery = clampPercent(value);
-                    if (this.hasCapability('measure_battery')) {
-                        this.setCapabilityValue('measure_battery', battery).catch(this.error);
-                    }
-                }
-                break;
-
-            case 'humidity':
-                if (typeof value === 'number') {
-                    const humidity = clampPercent(value);
-                    if (this.hasCapability('measure_humidity')) {
-                        this.setCapabilityValue('measure_humidity', humidity).catch(this.error);
-                    }
-                }
-                break;
-
-            case 'waterWarning':
-                if (typeof value === 'number' || typeof value === 'boolean') {
-                    const alarm = value === 1 || value === true;
-                    if (this.hasCapability('alarm_water_shortage')) {
-                        this.setCapabilityValue('alarm_water_shortage', alarm).catch(this.error);
-                    }
-                }
-                break;
-
-            case 'setting':
-                // Setting confirmed by device
-                break;
-        }
+    /**
+     * Returns true when a DP of the given firmware variant should be handled. Once the MCU
+     * version is known the profile only holds the matching variant; until then the first
+     * variant-specific DP the device sends decides the variant.
+     *
+     * @param {string} [firmware] - NEW_FIRMWARE or LEGACY_FIRMWARE, undefined for DPs of both
+     * @returns {boolean}
+     */
+    matchesDataPointSet(firmware) {
+        if (!firmware || this.getMcuVersion()) return true;
+
+        const reported = this.getStoreValue('reportedFirmware');
+        if (reported) return reported === firmware;
+
+        this.log(`MCU version unknown, device reports the DPs of firmware ${firmware}`);
+        this.setStoreValue('reportedFirmware', firmware).catch(this.error);
+        return true;
     }
 
     async applyDeviceSettings() {
-        const temperatureSampling = toTuyaSamplingSeconds(this.getSetting('temperature_sampling') ?? DEFAULTS.SAMPLING_SECONDS);
-        const soilSampling = toTuyaSamplingSeconds(this.getSetting('soil_sampling') ?? DEFAULTS.SAMPLING_SECONDS);
-        const soilWarning = toTuyaSoilWarningThresholdPercent(this.getSetting('soil_warning') ?? DEFAULTS.SOIL_WARNING_PERCENT);
-
-        // Calibrations
-        const temperatureCalibrationTenths = toTuyaTemperatureCalibrationTenths(this.getSetting('temperature_calibration') ?? DEFAULTS.CALIBRATION);
-        const humidityCalibration = toTuyaPercentCalibration(this.getSetting('humidity_calibration') ?? DEFAULTS.CALIBRATION);
-        const soilCalibration = toTuyaPercentCalibration(this.getSetting('soil_calibration') ?? DEFAULTS.CALIBRATION);
-
         try {
             // Best-effort: device may be sleeping; will apply on next awake/report window
-            await this.writeEnum(DP_WRITE.TEMP_UNIT, 0); // enforce Celsius
-            await this.writeData32(DP_WRITE.TEMP_SAMPLING_INTERVAL, temperatureSampling);
-            await this.writeData32(DP_WRITE.SOIL_SAMPLING_INTERVAL, soilSampling);
-            await this.writeData32(DP_WRITE.SOIL_WARNING_THRESHOLD, soilWarning);
-            await this.writeData32(DP_WRITE.TEMP_CALIBRATION, temperatureCalibrationTenths);
-            await this.writeData32(DP_WRITE.HUMIDITY_CALIBRATION, humidityCalibration);
-            await this.writeData32(DP_WRITE.SOIL_CALIBRATION, soilCalibration);
-
+            await this.writeDataPoint('temperatureUnit', 'celsius');
+            for (const key of DEVICE_SETTINGS) {
+                await this.writeDataPoint(this._dataPointsBySetting.get(key), this.getSetting(key));
+            }
         } catch (err) {
             this.error('Failed to apply device settings:', err);
         }
     }
 
+    async queueDeviceSettings(keys, settings = this.getSettings()) {
+        for (const key of keys) {
+            const entry = this._dataPointsBySetting.get(key);
+            await this.queueDataPoint(key, entry.dp, TUYA_DATA_TYPES[entry.type], this.serializeDataPointValue(entry, settings[key]), {
+                endpoint: entry.endpoint,
+            });
+        }
+    }
+
     async readBattery(endpoint) {
         if (!endpoint.clusters.powerConfiguration) return;
 
@@ -399,61 +241,14 @@ class ZG303ZSoilSensor extends TuyaSpecificClusterDevice {
     }
 
     async onSettings({ oldSettings, newSettings, changedKeys }) {
-        const isSleepy = this.isDeviceSleepy();
-
-        // For sleepy devices, queue settings for when device wakes up
-        if (isSleepy) {
-            this.pendingSettingsApply = true;
-        } else {
-            // Device is always-on, apply settings immediately
-            for (const key of changedKeys) {
-                const value = newSettings[key];
-                try {
-                    if (key === 'temperature_sampling') {
-                        await this.writeData32(DP_WRITE.TEMP_SAMPLING_INTERVAL, toTuyaSamplingSeconds(value ?? DEFAULTS.SAMPLING_SECONDS));
-                    }
-                    if (key === 'soil_sampling') {
-                        await this.writeData32(DP_WRITE.SOIL_SAMPLING_INTERVAL, toTuyaSamplingSeconds(value ?? DEFAULTS.SAMPLING_SECONDS));
-                    }
-                    if (key === 'soil_warning') {
-                        await this.writeData32(DP_WRITE.SOIL_WARNING_THRESHOLD, toTuyaSoilWarningThresholdPercent(value ?? DEFAULTS.SOIL_WARNING_PERCENT));
-                    }
-                    if (key === 'temperature_calibration') {
-                        await this.writeData32(DP_WRITE.TEMP_CALIBRATION, toTuyaTemperatureCalibrationTenths(value ?? DEFAULTS.CALIBRATION));
-                    }
-                    if (key === 'humidity_calibration') {
-                        await this.writeData32(DP_WRITE.HUMIDITY_CALIBRATION, toTuyaPercentCalibration(value ?? DEFAULTS.CALIBRATION));
-                    }
-                    if (key === 'soil_calibration') {
-                        await this.writeData32(DP_WRITE.SOIL_CALIBRATION, toTuyaPercentCalibration(value ?? DEFAULTS.CALIBRATION));
-                    }
-                } catch (err) {
-                    this.error('Failed to apply setting to device:', err);
-                }
-            }
-        }
+        // Sleepy devices get the settings queued until they wake up
+        const result = await super.onSettings({ oldSettings, newSettings, changedKeys });
 
         // Always recompute local alarm immediately (doesn't require device communication)
         if (changedKeys.includes('soil_warning')) {
-            const value = newSettings['soil_warning'];
-            if (typeof this.lastSoilMoisturePercent === 'number') {
-                const alarm = computeWaterAlarmFromSoilMoisture({
-                    soilMoisturePercent: this.lastSoilMoisturePercent,
-                    thresholdPercent: value ?? DEFAULTS.SOIL_WARNING_PERCENT,
-                });
-                if (this.hasCapability('alarm_water_shortage')) {
-                    this.setCapabilityValue('alarm_water_shortage', alarm).catch(this.error);
-                }
-            }
+            await this.updateWaterAlarm(newSettings.soil_warning);
         }
-    }
-
-    isDeviceSleepy() {
-        return this.node?.receiveWhenIdle === false;
-    }
-
-    async onEndDeviceAnnounce() {
-        await this.onDeviceAwake();
+        return result;
     }
 
     async onDeviceAwake() {
@@ -466,12 +261,19 @@ class ZG303ZSoilSensor extends TuyaSpecificClusterDevice {
         // Mark device as available
         await this.setAvailable().catch(this.error);
 
-        // Only apply settings if user changed them while device was sleeping
-        if (this.pendingSettingsApply) {
-            await this.applyDeviceSettings().catch(this.error);
-            this.pendingSettingsApply = false;
+        // Enforce Celsius once, during the first wake window
+        if (!this.getStoreValue('celsiusEnforced')) {
+            try {
+                await this.writeDataPoint('temperatureUnit', 'celsius');
+                await this.setStoreValue('celsiusEnforced', true);
+            } catch (err) {
+                this.error('Failed to enforce Celsius:', err);
+            }
         }
 
+        // Send settings the user changed while the device was sleeping
+        await super.onDeviceAwake();
+
         // Read battery status
         if (this.endpoint1) {
             await this.readBattery(this.endpoint1).catch(this.error);
@@ -0,0 +1,224 @@
+'use strict';
+
+const { Cluster, CLUSTER } = require('zigbee-clusters');
+const TuyaSpecificCluster = require('../../lib/TuyaSpecificCluster');
+const TuyaWindowCoveringCluster = require('../../lib/TuyaWindowCoveringCluster');
+const TuyaSpecificClusterDevice = require('../../lib/TuyaSpecificClusterDevice');
+const { V1_CURTAIN_MOTOR_DATA_POINTS: V1, V2_CURTAIN_MOTOR_DATA_POINTS: V2 } = require('../../lib/TuyaDataPoints');
+
+Cluster.addCluster(TuyaSpecificCluster);
+Cluster.addCluster(TuyaWindowCoveringCluster);
+
+// TS0601 motors that use the V2 datapoints, the other TS0601 motors use V1
+const V2_MANUFACTURERS = ['_TZE200_rddyvrci', '_TZE200_wmcdj3aq', '_TZE200_cowvfni3'];
+
+// Homey position (0: closed, 1: open) <-> motor position (0-100), see `isInverted`
+function fromPosition(position) {
+    return (this.isInverted() ? 100 - position : position) / 100;
+}
+
+function toPosition(value) {
+    const position = Math.round(value * 100);
+    return this.isInverted() ? 100 - position : position;
+}
+
+// Data Points for TS0601 curtain motors, version 1 (100: fully open)
+const V1_DATA_POINTS = {
+    position: { dp: V1.position, type: 'value', capability: 'windowcoverings_set', direction: 'both', from: fromPosition, to: toPosition },
+    arrived: { dp: V1.arrived, type: 'bool', capability: 'windowcoverings_state', from: arrived => (arrived ? 'idle' : undefined) },
+    motorReverse: { dp: V1.motorReverse, type: 'bool', setting: 'motor_reverse' },
+};
+
+// Data Points for TS0601 curtain motors, version 2 (inverted position, 0: fully open)
+const V2_DATA_POINTS = {
+    state: { dp: V2.state, type: 'enum', capability: 'windowcoverings_state', direction: 'both', map: ['up', 'idle', 'down'] },
+    targetPosition: { dp: V2.position1, type: 'value', capability: 'windowcoverings_set', direction: 'both', from: fromPosition, to: toPosition },
+    position: { dp: V2.position2, type: 'value', capability: 'windowcoverings_set', from: fromPosition },
+    motorDirection: { dp: V2.motorDirection, type: 'enum', setting: 'motor_reverse', map: [false, true] },
+};
+
+const VARIANTS = {
+    v1: { dataPoints: V1_DATA_POINTS, inverted: false },
+    v2: { dataPoints: V2_DATA_POINTS, inverted: true },
+    zcl: { inverted: false },
+};
+
+// Window covering status attribute -> windowcoverings_state
+const COVER_STATUS = { Open: 'up', Stop: 'idle', Close: 'down' };
+
+/**
+ * Tuya curtain motor, with three variants:
+ * - v1: TS0601 with the V1 curtain datapoints, moved by writing the position
+ * - v2: TS0601 with the V2 curtain datapoints (open/stop/close command, inverted position)
+ * - zcl: TS130F with the standard window covering cluster and the Tuya calibration attributes
+ *
+ * The `invert_position` setting reverses the reported position for motors that are mounted
+ * the other way around. Calibration (zcl only) is done with the repair wizard.
+ */
+class TuyaCurtain extends TuyaSpecificClusterDevice {
+
+    async onNodeInit({ zclNode }) {
+        this.printNode();
+
+        this.variant = this.getVariant(zclNode);
+        this.log(`Curtain motor variant ${this.variant}`);
+
+        if (this.variant === 'zcl') {
+            this.registerWindowCovering(zclNode);
+            return;
+        }
+
+        this.registerDataPoints(VARIANTS[this.variant].dataPoints);
+        if (this.variant === 'v1') {
+            this.registerCapabilityListener('windowcoverings_state', state => this.setMovement(state));
+        }
+    }
+
+    /**
+     * Returns the variant of the motor: zcl when it only has the window covering cluster,
+     * otherwise v1 or v2 by manufacturer name.
+     */
+    getVariant(zclNode) {
+        const { clusters } = zclNode.endpoints[1];
+        if (clusters.windowCovering && !clusters.tuya) return 'zcl';
+
+        return V2_MANUFACTURERS.includes(this.getSetting('zb_manufacturer_name')) ? 'v2' : 'v1';
+    }
+
+    registerWindowCovering(zclNode) {
+        this.invertPercentageLiftValue = this.isInverted();
+
+        this.registerCapability('windowcoverings_state', CLUSTER.WINDOW_COVERING);
+        this.registerCapability('windowcoverings_set', CLUSTER.WINDOW_COVERING, {
+            reportOpts: {
+                configureAttributeReporting: {
+                    minInterval: 0,
+                    maxInterval: 3600,
+                    minChange: 1,
+                },
+            },
+        });
+
+        zclNode.endpoints[1].clusters.windowCovering.on('attr.windowCoverStatus', status => {
+            this.log('windowCoverStatus:', status);
+            if (COVER_STATUS[status]) {
+                this.setCapabilityValue('windowcoverings_state', COVER_STATUS[status]).catch(this.error);
+            }
+        });
+    }
+
+    /**
+     * Returns true when a motor position of 0 means fully open: the default of the variant,
+     * reversed by the `invert_position` setting.
+     *
+     * @param {boolean} [invert=this.getSetting('invert_position')] - Value of the setting
+     * @returns {boolean}
+     */
+    isInverted(invert = this.getSetting('invert_position')) {
+        return VARIANTS[this.variant].inverted !== Boolean(invert);
+    }
+
+    /**
+     * Opens, stops or closes a V1 motor, which has no command datapoint: it is moved to
+     * the end position, or stopped by sending its current position.
+     *
+     * @param {string} state - 'up', 'idle' or 'down'
+     */
+    async setMovement(state) {
+        const value = { up: 1, down: 0 }[state] ?? this.getCapabilityValue('windowcoverings_set');
+        await this.writeDataPoint('position', value);
+    }
+
+    /**
+     * Returns the window covering cluster, calibration is only available on zcl motors.
+     */
+    getWindowCoveringCluster() {
+        if (this.variant !== 'zcl') {
+            throw new Error('Calibration is only available for motors that use the window covering cluster (TS130F)');
+        }
+        return this.zclNode.endpoints[1].clusters.windowCovering;
+    }
+
+    /**
+     * Starts calibration mode. The motor then measures the time it takes between the end
+     * positions it is moved to, until `endCalibration` is called.
+     */
+    async startCalibration() {
+        await this.getWindowCoveringCluster().writeAttributes({ calibrationMode: 'Start' });
+        this.log('Calibration started');
+    }
+
+    /**
+     * Opens, stops or closes the motor during calibration.
+     *
+     * @param {string} state - 'up', 'idle' or 'down'
+     */
+    async moveCalibration(state) {
+        const command = { up: 'upOpen', idle: 'stop', down: 'downClose' }[state];
+        if (!command) {
+            throw new Error(`Invalid movement "${state}"`);
+        }
+        await this.getWindowCoveringCluster()[command]();
+    }
+
+    /**
+     * Ends calibration mode and stores the measured travel time.
+     *
+     * @returns {Promise<number>} - Travel time in seconds
+     */
+    async endCalibration() {
+        const cluster = this.getWindowCoveringCluster();
+        await cluster.writeAttributes({ calibrationMode: 'End' });
+
+        const { calibrationTime } = await cluster.readAttributes(['calibrationTime']);
+        const seconds = calibrationTime / 10;
+        this.log(`Calibration ended, travel time ${seconds} s`);
+        await this.setSettings({ calibration_time: seconds }).catch(this.error);
+        return seconds;
+    }
+
+    /**
+     * Stops the motor and leaves calibration mode, for a wizard that is closed before
+     * calibration was finished. The travel time setting is not updated.
+     */
+    async cancelCalibration() {
+        const cluster = this.getWindowCoveringCluster();
+        await cluster.stop();
+        await cluster.writeAttributes({ calibrationMode: 'End' });
+        this.log('Calibration cancelled');
+    }
+
+    async onSettings({ oldSettings, newSettings, changedKeys }) {
+        if (changedKeys.includes('calibration_time') && this.variant !== 'zcl') {
+            throw new Error('The travel time can only be set on TS130F motors');
+        }
+
+        const result = await super.onSettings({ oldSettings, newSettings, changedKeys });
+
+        if (this.variant === 'zcl') {
+            const cluster = this.zclNode.endpoints[1].clusters.windowCovering;
+            if (changedKeys.includes('motor_reverse')) {
+                await cluster.writeAttributes({ motorReversal: newSettings.motor_reverse ? 'On' : 'Off' });
+            }
+            if (changedKeys.includes('calibration_time')) {
+                await cluster.writeAttributes({ calibrationTime: Math.round(newSettings.calibration_time * 10) });
+            }
+            this.invertPercentageLiftValue = this.isInverted(newSettings.invert_position);
+        }
+
+        // The motor keeps its position, only the way Homey shows it changes
+        if (changedKeys.includes('invert_position')) {
+            const position = this.getCapabilityValue('windowcoverings_set');
+            if (typeof position === 'number') {
+                await this.setCapabilityValue('windowcoverings_set', 1 - position).catch(this.error);
+            }
+        }
+        return result;
+    }
+
+    onDeleted() {
+        this.log('Tuya Curtain removed');
+    }
+}
+
+module.exports = TuyaCurtain;
@@ -0,0 +1,47 @@
+'use strict';
+
+const { ZigBeeDriver } = require('homey-zigbeedriver');
+
+class TuyaCurtainDriver extends ZigBeeDriver {
+
+    async onInit() {
+        this.log('Tuya Curtain Driver has been initialized');
+    }
+
+    /**
+     * Calibration wizard, see repair/calibrate.html.
+     */
+    async onRepair(session, device) {
+        session.setHandler('calibration_info', async () => ({
+            supported: device.variant === 'zcl',
+            calibrationTime: device.getSetting('calibration_time'),
+        }));
+
+        // Calibration mode stays on until it is ended, also when the wizard is closed halfway
+        let calibrating = false;
+
+        session.setHandler('calibration_start', async () => {
+            await device.startCalibration();
+            calibrating = true;
+        });
+
+        session.setHandler('calibration_move', async (state) => {
+            await device.moveCalibration(state);
+        });
+
+        session.setHandler('calibration_end', async () => {
+            const seconds = await device.endCalibration();
+            calibrating = false;
+            return seconds;
+        });
+
+        session.setHandler('disconnect', async () => {
+            if (calibrating) {
+                await device.cancelCalibration().catch(this.error);
+            }
+        });
+    }
+
+}
+
+module.exports = TuyaCurtainDriver;
@@ -0,0 +1,227 @@
+'use strict';
+
+const { Cluster } = require('zigbee-clusters');
+const TuyaSpecificCluster = require('../../lib/TuyaSpecificCluster');
+const TuyaSpecificClusterDevice = require('../../lib/TuyaSpecificClusterDevice');
+const {
+    V1_SINGLE_GANG_DIMMER_SWITCH_DATA_POINTS: SINGLE,
+    V1_MULTI_GANG_DIMMER_SWITCH_DATA_POINTS: MULTI,
+} = require('../../lib/TuyaDataPoints');
+const {
+    setMinimumBrightness, setMaximumBrightness, setTypeOfLightSource, setPowerOnStatus, setSwitchType,
+} = require('../../lib/TuyaHelpers');
+
+Cluster.addCluster(TuyaSpecificCluster);
+
+const { gangDataPoints } = TuyaSpecificClusterDevice;
+
+// TS0601 dimmers with the single gang datapoints, the other dimmers use the multi-gang ones
+const SINGLE_GANG_MANUFACTURERS = ['_TZE200_dfxkcots', '_TZE200_w4cryh2i'];
+
+const LIGHT_SOURCES = ['led', 'incandescent', 'halogen'];
+const POWER_ON_STATES = ['off', 'on', 'memory'];
+const SWITCH_TYPES = ['toggle', 'state', 'momentary'];
+
+// Settings without a datapoint on single gang dimmers, besides the ones of the second gang
+const MULTI_GANG_SETTINGS = ['max_brightness', 'power_on_state', 'switch_type'];
+
+// Gang names of the TuyaHelpers dimmer functions
+const HELPER_GANGS = { 1: 'One', 2: 'Two' };
+
+// Setting suffix of a gang, see `gangDataPoints`
+const gangSuffix = gang => (gang > 1 ? `_gang${gang}` : '');
+
+// Brightness datapoint of a gang, scaled between the gang's minimum and maximum brightness
+const brightnessDataPoint = (dp, gang) => ({
+    dp,
+    gang,
+    type: 'value',
+    capability: gang > 1 ? `dim.gang${gang}` : 'dim',
+    direction: 'both',
+    from(value) {
+        return this.fromBrightness(value, gang);
+    },
+    to(value) {
+        return this.toBrightness(value, gang);
+    },
+});
+
+// Minimum and maximum brightness are shown in % (raw 10-1000), written with the TuyaHelpers
+// functions in `onSettings`
+const brightnessSetting = setting => ({ type: 'value', scale: 1, setting, direction: 'read' });
+
+// Data Points for TS0601 single gang dimmers, version 1
+const SINGLE_GANG_DATA_POINTS = {
+    onOff1: { dp: SINGLE.onOff, gang: 1, type: 'bool', capability: 'onoff', direction: 'both' },
+    brightness1: brightnessDataPoint(SINGLE.brightness, 1),
+    minBrightness1: { dp: SINGLE.minimumBrightness, ...brightnessSetting('min_brightness') },
+    lightSource1: { dp: SINGLE.typeOfLightSource, type: 'enum', setting: 'light_source', direction: 'read', map: LIGHT_SOURCES },
+};
+
+// Data Points for TS0601 multi-gang dimmers, version 1
+const MULTI_GANG_DATA_POINTS = {
+    ...gangDataPoints('onOff', [MULTI.onOffGangOne, MULTI.onOffGangTwo], { type: 'bool', capability: 'onoff', direction: 'both' }),
+    brightness1: brightnessDataPoint(MULTI.brightnessGangOne, 1),
+    brightness2: brightnessDataPoint(MULTI.brightnessGangTwo, 2),
+    ...gangDataPoints('minBrightness', [MULTI.minimumBrightnessGangOne, MULTI.minimumBrightnessGangTwo], brightnessSetting('min_brightness')),
+    ...gangDataPoints('maxBrightness', [MULTI.maximumBrightnessGangOne, MULTI.maximumBrightnessGangTwo], brightnessSetting('max_brightness')),
+    ...gangDataPoints('lightSource', [MULTI.typeOfLightSourceGangOne, MULTI.typeOfLightSourceGangTwo], {
+        type: 'enum', setting: 'light_source', direction: 'read', map: LIGHT_SOURCES,
+    }),
+    ...gangDataPoints('countdown', [MULTI.countdownGangOne, MULTI.countdownGangTwo], { type: 'value' }),      // seconds
+    powerOnState: { dp: MULTI.powerOnStatusSetting, type: 'enum', setting: 'power_on_state', direction: 'read', map: POWER_ON_STATES },
+    switchType: { dp: MULTI.switchType, type: 'enum', setting: 'switch_type', direction: 'read', map: SWITCH_TYPES },
+};
+
+/**
+ * Tuya single and 2-gang dimmer. Homey `dim` (0-1) is scaled between the minimum and maximum
+ * brightness of the gang (raw 10-1000). The second gang is added as `onoff.gang2` and
+ * `dim.gang2` when the dimmer reports it. Single gang dimmers have no maximum brightness,
+ * power-on state or switch type datapoint, changing these settings is rejected.
+ */
+class TuyaDimmer extends TuyaSpecificClusterDevice {
+
+    async onNodeInit({ zclNode }) {
+        this.printNode();
+
+        this.singleGang = SINGLE_GANG_MANUFACTURERS.includes(this.getSetting('zb_manufacturer_name'));
+        this.dataPoints = this.singleGang ? SINGLE_GANG_DATA_POINTS : MULTI_GANG_DATA_POINTS;
+        this.registerDataPoints(this.dataPoints);
+    }
+
+    async onDataPoint(data, endpoint) {
+        if (!this.singleGang && data.dp === MULTI.onOffGangTwo && !this.hasCapability('onoff.gang2')) {
+            await this.addSecondGang();
+        }
+        await super.onDataPoint(data, endpoint);
+    }
+
+    async addSecondGang() {
+        this.log('Second gang detected');
+        for (const [capability, title] of [['onoff.gang2', { en: 'Gang 2', nl: 'Kanaal 2' }], ['dim.gang2', { en: 'Brightness 2', nl: 'Helderheid 2' }]]) {
+            if (this.hasCapability(capability)) continue;
+            await this.addCapability(capability).catch(this.error);
+            await this.setCapabilityOptions(capability, { title }).catch(this.error);
+        }
+
+        // Capability listeners are registered for the capabilities that exist
+        this.registerDataPoints(this.dataPoints);
+    }
+
+    /**
+     * Returns the raw brightness range (10-1000) of a gang from its settings.
+     *
+     * @param {number} gang - Gang number
+     * @param {Object} [settings=this.getSettings()] - Device settings
+     * @returns {{ min: number, max: number }}
+     */
+    getBrightnessRange(gang, settings = this.getSettings()) {
+        const min = Math.max(10, Math.round((settings[`min_brightness${gangSuffix(gang)}`] || 1) * 10));
+        const max = Math.round((settings[`max_brightness${gangSuffix(gang)}`] || 100) * 10);
+        return { min, max: Math.max(min, max) };
+    }
+
+    toBrightness(value, gang) {
+        const { min, max } = this.getBrightnessRange(gang);
+        return Math.round(min + value * (max - min));
+    }
+
+    fromBrightness(value, gang) {
+        const { min, max } = this.getBrightnessRange(gang);
+        if (max === min) return 1;
+        return Math.min(1, Math.max(0, (value - min) / (max - min)));
+    }
+
+    /**
+     * Starts the countdown after which a gang switches to the opposite state.
+     *
+     * @param {number} gang - Gang number
+     * @param {number} minutes - Countdown in minutes, 0 cancels it
+     */
+    async setCountdown(gang, minutes) {
+        if (this.singleGang) {
+            throw new Error('This dimmer has no countdown timer');
+        }
+        await this.writeDataPoint(`countdown${gang}`, Math.round(minutes * 60));
+    }
+
+    /**
+     * Writes the dimmer settings with the TuyaHelpers dimmer functions. Single gang dimmers
+     * reject the settings they have no datapoint for, and the brightness range of every gang
+     * is validated before anything is written.
+     */
+    async onSettings({ oldSettings, newSettings, changedKeys }) {
+        if (this.singleGang) {
+            const unsupported = changedKeys.filter(key => key.endsWith('_gang2') || MULTI_GANG_SETTINGS.includes(key));
+            if (unsupported.length > 0) {
+                const labels = unsupported.map(key => (key.endsWith('_gang2') ? `${this.getSettingLabel(key)} (gang 2)` : this.getSettingLabel(key)));
+                throw new Error(`Not available on single gang dimmers: ${labels.join(', ')}`);
+            }
+        }
+
+        for (const gang of Object.keys(HELPER_GANGS).map(Number)) {
+            const min = `min_brightness${gangSuffix(gang)}`;
+            const max = `max_brightness${gangSuffix(gang)}`;
+            if (!changedKeys.includes(min) && !changedKeys.includes(max)) continue;
+            if (newSettings[min] > newSettings[max]) {
+                throw new Error(`The minimum brightness of gang ${gang} is above its maximum brightness`);
+            }
+        }
+
+        const result = await super.onSettings({ oldSettings, newSettings, changedKeys });
+
+        const failed = [];
+        for (const key of changedKeys) {
+            const [, name, gangNumber] = key.match(/^(.+?)(?:_gang(\d))?$/);
+            const gang = HELPER_GANGS[gangNumber || 1];
+            const value = newSettings[key];
+
+            try {
+                await this.writeSetting(name, value, gang);
+            } catch (error) {
+                this.error(`Error writing setting ${key}:`, error);
+                failed.push(key);
+            }
+        }
+
+        if (failed.length > 0) {
+            throw new Error(`The device did not confirm: ${failed.join(', ')}`);
+        }
+        return result;
+    }
+
+    /**
+     * Writes a dimmer setting with its TuyaHelpers function.
+     *
+     * @param {string} name - Setting ID without the gang suffix
+     * @param {*} value - Setting value
+     * @param {string} gang - Gang name of the TuyaHelpers functions ('One' or 'Two')
+     */
+    async writeSetting(name, value, gang) {
+        switch (name) {
+            case 'min_brightness':
+                await setMinimumBrightness(this, Math.round(value * 10), gang);
+                break;
+            case 'max_brightness':
+                await setMaximumBrightness(this, Math.round(value * 10), gang);
+                break;
+            case 'light_source':
+                await setTypeOfLightSource(this, LIGHT_SOURCES.indexOf(value), gang);
+                break;
+            case 'power_on_state':
+                await setPowerOnStatus(this, POWER_ON_STATES.indexOf(value));
+                break;
+            case 'switch_type':
+                await setSwitchType(this, SWITCH_TYPES.indexOf(value));
+                break;
+            default:
+                break;
+        }
+    }
+
+    onDeleted() {
+        this.log('Tuya Dimmer removed');
+    }
+}
+
+module.exports = TuyaDimmer;
@@ -0,0 +1,18 @@
+'use strict';
+
+const { ZigBeeDriver } = require('homey-zigbeedriver');
+
+class TuyaDimmerDriver extends ZigBeeDriver {
+
+    async onInit() {
+        this.homey.flow.getActionCard('dimmer_countdown')
+            .registerRunListener(async (args) => {
+                await args.device.setCountdown(Number(args.gang), args.minutes);
+            });
+
+        this.log('Tuya Dimmer Driver has been initialized');
+    }
+
+}
+
+module.exports = TuyaDimmerDriver;
@@ -0,0 +1,198 @@
+'use strict';
+
+const { Cluster } = require('zigbee-clusters');
+const TuyaSpecificCluster = require('../../lib/TuyaSpecificCluster');
+const TuyaSpecificClusterDevice = require('../../lib/TuyaSpecificClusterDevice');
+const { V1_AUTOMATED_CURTAIN_DATA_POINTS: DP } = require('../../lib/TuyaDataPoints');
+
+Cluster.addCluster(TuyaSpecificCluster);
+
+const { gangDataPoints } = TuyaSpecificClusterDevice;
+
+// Time (ms) the controller gets to report the travel time after calibration has ended
+const CALIBRATION_TIME_TIMEOUT = 10000;
+
+// Homey position (0: closed, 1: open) <-> channel position (0-100)
+function fromPosition(position) {
+    return (this.getSetting('invert_position') ? 100 - position : position) / 100;
+}
+
+function toPosition(value) {
+    const position = Math.round(value * 100);
+    return this.getSetting('invert_position') ? 100 - position : position;
+}
+
+// Data Points for TS0601 dual curtain controllers, version 1. Every channel is a Homey device:
+// channel 1 the main device, channel 2 the `gang2` sub-device.
+const dataPoints = {
+    ...gangDataPoints('curtainSwitch', [DP.curtainSwitchOne, DP.curtainSwitchTwo], {
+        type: 'enum', capability: 'windowcoverings_state', direction: 'both', map: ['up', 'idle', 'down'],
+    }, { subDevices: true }),
+    ...gangDataPoints('percentControl', [DP.percentControlOne, DP.percentControlTwo], {
+        type: 'value', capability: 'windowcoverings_set', direction: 'both', from: fromPosition, to: toPosition,
+    }, { subDevices: true }),
+    ...gangDataPoints('accurateCalibration', [DP.accurateCalibrationOne, DP.accurateCalibrationTwo], {
+        type: 'enum', direction: 'write', map: ['start', 'end'],
+    }, { subDevices: true }),
+    ...gangDataPoints('motorSteer', [DP.motorSteerOne, DP.motorSteerTwo], {
+        type: 'enum', setting: 'motor_reverse', map: [false, true],
+    }, { subDevices: true }),
+    ...gangDataPoints('quickCalibration', [DP.quickCalibrationOne, DP.quickCalibrationTwo], {
+        type: 'value', setting: 'calibration_time',
+    }, { subDevices: true }),
+    ...gangDataPoints('motorMode', [DP.motorModeOne, DP.motorModeTwo], {
+        type: 'enum', setting: 'motor_mode', map: ['strong_power', 'dry_contact'],
+    }, { subDevices: true }),
+    lightMode: { dp: DP.lightMode, type: 'enum', setting: 'light_mode', map: ['relay', 'pos', 'none'] },
+};
+
+// Settings of the controller, entries without a gang that only the main device writes
+const CONTROLLER_SETTINGS = Object.values(dataPoints).filter(entry => entry.setting && !entry.gang).map(entry => entry.setting);
+
+/**
+ * Tuya dual curtain controller. Both channels have their own position, direction, travel
+ * time and calibration; the indicator light mode is a setting of the main device.
+ */
+class TuyaDualCurtain extends TuyaSpecificClusterDevice {
+
+    gangSubDevices = true;
+
+    async onNodeInit({ zclNode }) {
+        this.printNode();
+
+        this.registerDataPoints(dataPoints);
+    }
+
+    /**
+     * Returns the name of this channel's profile entry, e.g. 'percentControl2'.
+     */
+    getChannelDataPoint(name) {
+        return `${name}${this.getGang()}`;
+    }
+
+    /**
+     * Returns the devices of both channels of this controller.
+     *
+     * @returns {TuyaDualCurtain[]}
+     */
+    getChannelDevices() {
+        const { token } = this.getData();
+        return this.driver.getDevices().filter(device => device.getData().token === token);
+    }
+
+    async setPosition(value) {
+        await this.writeDataPoint(this.getChannelDataPoint('percentControl'), value);
+    }
+
+    /**
+     * Moves both channels of the controller to the same position.
+     *
+     * @param {number} value - Position, 0 (closed) - 1 (open)
+     */
+    async setPositionAll(value) {
+        await Promise.all(this.getChannelDevices().map(device => device.setPosition(value)));
+    }
+
+    /**
+     * Starts accurate calibration of this channel: the controller measures the travel time
+     * between the end positions it is moved to, until `endCalibration` is called.
+     */
+    async startCalibration() {
+        await this.writeDataPoint(this.getChannelDataPoint('accurateCalibration'), 'start');
+        this.log('Calibration started');
+    }
+
+    /**
+     * Opens, stops or closes this channel during calibration.
+     *
+     * @param {string} state - 'up', 'idle' or 'down'
+     */
+    async moveCalibration(state) {
+        await this.writeDataPoint(this.getChannelDataPoint('curtainSwitch'), state);
+    }
+
+    /**
+     * Ends calibration of this channel and waits for the controller to report the measured
+     * travel time.
+     *
+     * @returns {Promise<number>} - Travel time in seconds
+     */
+    async endCalibration() {
+        const reported = this.waitForCalibrationTime();
+        try {
+            await this.writeDataPoint(this.getChannelDataPoint('accurateCalibration'), 'end');
+        } catch (err) {
+            this._calibrationTimeWaiter = null;
+            reported.catch(() => {});
+            throw err;
+        }
+
+        const seconds = await reported;
+        this.log(`Calibration ended, travel time ${seconds} s`);
+        return seconds;
+    }
+
+    /**
+     * Stops this channel and ends calibration, for a wizard that is closed before calibration
+     * was finished.
+     */
+    async cancelCalibration() {
+        await this.moveCalibration('idle');
+        await this.writeDataPoint(this.getChannelDataPoint('accurateCalibration'), 'end');
+        this.log('Calibration cancelled');
+    }
+
+    /**
+     * Resolves with the next travel time this channel reports.
+     *
+     * @param {number} [timeout=CALIBRATION_TIME_TIMEOUT] - Time (ms) to wait for the report
+     * @returns {Promise<number>} - Travel time in seconds
+     */
+    waitForCalibrationTime(timeout = CALIBRATION_TIME_TIMEOUT) {
+        return new Promise((resolve, reject) => {
+            const timer = this.homey.setTimeout(() => {
+                this._calibrationTimeWaiter = null;
+                reject(new Error('The controller did not report the travel time'));
+            }, timeout);
+            this._calibrationTimeWaiter = seconds => {
+                this.homey.clearTimeout(timer);
+                this._calibrationTimeWaiter = null;
+                resolve(seconds);
+            };
+        });
+    }
+
+    async onDataPoint(data, endpoint) {
+        await super.onDataPoint(data, endpoint);
+
+        const entry = this._dataPointsByDp && this._dataPointsByDp.get(`${endpoint}:${data.dp}`);
+        if (this._calibrationTimeWaiter && entry && entry.name === this.getChannelDataPoint('quickCalibration')) {
+            this._calibrationTimeWaiter(this.parseDataPointValue(entry, data));
+        }
+    }
+
+    async onSettings({ oldSettings, newSettings, changedKeys }) {
+        const controllerKeys = changedKeys.filter(key => CONTROLLER_SETTINGS.includes(key));
+        if (this.getGang() > 1 && controllerKeys.length > 0) {
+            const labels = controllerKeys.map(key => this.getSettingLabel(key));
+            throw new Error(`Only available on curtain 1: ${labels.join(', ')}`);
+        }
+
+        const result = await super.onSettings({ oldSettings, newSettings, changedKeys });
+
+        // The channel keeps its position, only the way Homey shows it changes
+        if (changedKeys.includes('invert_position')) {
+            const position = this.getCapabilityValue('windowcoverings_set');
+            if (typeof position === 'number') {
+                await this.setCapabilityValue('windowcoverings_set', 1 - position).catch(this.error);
+            }
+        }
+        return result;
+    }
+
+    onDeleted() {
+        this.log(`Tuya Dual Curtain channel ${this.getGang()} removed`);
+    }
+}
+
+module.exports = TuyaDualCurtain;
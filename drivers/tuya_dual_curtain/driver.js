@@ -0,0 +1,52 @@
+'use strict';
+
+const { ZigBeeDriver } = require('homey-zigbeedriver');
+
+class TuyaDualCurtainDriver extends ZigBeeDriver {
+
+    async onInit() {
+        this.homey.flow.getActionCard('dual_curtain_set_position_all')
+            .registerRunListener(async (args) => {
+                await args.device.setPositionAll(args.position);
+            });
+
+        this.log('Tuya Dual Curtain Driver has been initialized');
+    }
+
+    /**
+     * Calibration wizard of one channel, see repair/calibrate.html.
+     */
+    async onRepair(session, device) {
+        session.setHandler('calibration_info', async () => ({
+            supported: true,
+            calibrationTime: device.getSetting('calibration_time'),
+        }));
+
+        // Accurate calibration stays on until it is ended, also when the wizard is closed halfway
+        let calibrating = false;
+
+        session.setHandler('calibration_start', async () => {
+            await device.startCalibration();
+            calibrating = true;
+        });
+
+        session.setHandler('calibration_move', async (state) => {
+            await device.moveCalibration(state);
+        });
+
+        session.setHandler('calibration_end', async () => {
+            const seconds = await device.endCalibration();
+            calibrating = false;
+            return seconds;
+        });
+
+        session.setHandler('disconnect', async () => {
+            if (calibrating) {
+                await device.cancelCalibration().catch(this.error);
+            }
+        });
+    }
+
+}
+
+module.exports = TuyaDualCurtainDriver;
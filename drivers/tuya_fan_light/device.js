@@ -0,0 +1,61 @@
+'use strict';
+
+const { Cluster } = require('zigbee-clusters');
+const TuyaSpecificCluster = require('../../lib/TuyaSpecificCluster');
+const TuyaSpecificClusterDevice = require('../../lib/TuyaSpecificClusterDevice');
+const { V1_FAN_SWITCH_DATA_POINTS: DP } = require('../../lib/TuyaDataPoints');
+
+Cluster.addCluster(TuyaSpecificCluster);
+
+// The fan speed (1-100) and brightness (10-1000) datapoints do not accept 0, off is a switch
+const atLeastOnePercent = value => Math.max(0.01, value);
+
+// Data Points for TS0601 fan + light switches, version 1
+const dataPoints = {
+    fanSwitch: { dp: DP.fanSwitch, type: 'bool', capability: 'onoff', direction: 'both' },
+    fanCountdown: { dp: DP.fanCountdown, type: 'value' },                                                      // seconds
+    fanSpeed: { dp: DP.fanSpeed, type: 'enum', capability: 'tuya_fan_speed', direction: 'both', map: ['level_1', 'level_2', 'level_3', 'level_4', 'level_5'] },
+    fanSpeedPercent: { dp: DP.fanSpeedPercent, type: 'value', scale: 2, capability: 'dim', direction: 'both', to: atLeastOnePercent },
+    lightSwitch: { dp: DP.fanLightSwitch, type: 'bool', capability: 'onoff.light', direction: 'both' },
+    brightness: { dp: DP.brightness, type: 'value', scale: 3, capability: 'dim.light', direction: 'both', to: atLeastOnePercent },
+    lightCountdown: { dp: DP.fanLightCountdown, type: 'value' },                                               // seconds
+    minBrightness: { dp: DP.minBrightness, type: 'value', scale: 1, setting: 'min_brightness' },
+    maxBrightness: { dp: DP.maxBrightness, type: 'value', scale: 1, setting: 'max_brightness' },
+    powerOnState: { dp: DP.powerOnStateSetting, type: 'enum', setting: 'power_on_state', map: ['off', 'on', 'memory'] },
+    indicatorMode: { dp: DP.indicatorStatusSetting, type: 'enum', setting: 'indicator_mode', map: ['none', 'relay', 'pos'] },
+    backlight: { dp: DP.backlightSwitch, type: 'bool', setting: 'backlight' },
+};
+
+// Countdown datapoint of every channel of the "Turn off after a countdown" Flow card
+const COUNTDOWNS = {
+    fan: 'fanCountdown',
+    light: 'lightCountdown',
+};
+
+class TuyaFanLight extends TuyaSpecificClusterDevice {
+
+    async onNodeInit({ zclNode }) {
+        this.printNode();
+
+        this.registerDataPoints(dataPoints);
+    }
+
+    /**
+     * Starts the countdown after which the switch turns the fan or light off.
+     *
+     * @param {string} channel - 'fan' or 'light'
+     * @param {number} minutes - Countdown in minutes, 0 cancels it
+     */
+    async setCountdown(channel, minutes) {
+        if (!COUNTDOWNS[channel]) {
+            throw new Error(`Unknown channel "${channel}"`);
+        }
+        await this.writeDataPoint(COUNTDOWNS[channel], Math.round(minutes * 60));
+    }
+
+    onDeleted() {
+        this.log('Tuya Fan Light removed');
+    }
+}
+
+module.exports = TuyaFanLight;
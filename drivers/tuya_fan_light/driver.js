@@ -0,0 +1,18 @@
+'use strict';
+
+const { ZigBeeDriver } = require('homey-zigbeedriver');
+
+class TuyaFanLightDriver extends ZigBeeDriver {
+
+    async onInit() {
+        this.homey.flow.getActionCard('fan_light_countdown')
+            .registerRunListener(async (args) => {
+                await args.device.setCountdown(args.channel, args.minutes);
+            });
+
+        this.log('Tuya Fan Light Driver has been initialized');
+    }
+
+}
+
+module.exports = TuyaFanLightDriver;
@@ -0,0 +1,105 @@
+'use strict';
+
+const { Cluster } = require('zigbee-clusters');
+const TuyaSpecificCluster = require('../../lib/TuyaSpecificCluster');
+const TuyaSpecificClusterDevice = require('../../lib/TuyaSpecificClusterDevice');
+const { V1_FINGER_BOT_DATA_POINTS: DP } = require('../../lib/TuyaDataPoints');
+
+Cluster.addCluster(TuyaSpecificCluster);
+
+// Data Points for TS0601 Fingerbots, version 1
+const dataPoints = {
+    onOff: { dp: DP.onOff, type: 'bool', capability: 'onoff', direction: 'both' },
+    mode: { dp: DP.mode, type: 'enum', setting: 'mode', map: ['click', 'switch', 'program'] },
+    lowerLimit: { dp: DP.lowerLimit, type: 'value', setting: 'lower_limit' },       // %
+    upperLimit: { dp: DP.upperLimit, type: 'value', setting: 'upper_limit' },       // %
+    delay: { dp: DP.delay, type: 'value', setting: 'delay' },                       // seconds
+    reverse: { dp: DP.reverse, type: 'bool', setting: 'reverse' },
+    touch: { dp: DP.touch, type: 'bool', setting: 'touch' },
+    battery: { dp: DP.battery, type: 'value', capability: 'measure_battery' },
+};
+
+/**
+ * Tuya Fingerbot. In click and program mode it presses (and holds for the `delay` setting)
+ * when `button` is pressed; in switch mode it stays down while `onoff` is on. The capability
+ * of the current mode is added when the mode changes.
+ */
+class TuyaFingerbot extends TuyaSpecificClusterDevice {
+
+    async onNodeInit({ zclNode }) {
+        this.printNode();
+
+        await this.updateModeCapabilities();
+    }
+
+    async onDataPoint(data, endpoint) {
+        await super.onDataPoint(data, endpoint);
+        if (data.dp === DP.mode) {
+            await this.updateModeCapabilities();
+        }
+    }
+
+    /**
+     * Shows `onoff` in switch mode and `button` in the other modes.
+     *
+     * @param {string} [mode=this.getSetting('mode')] - 'click', 'switch' or 'program'
+     */
+    async updateModeCapabilities(mode = this.getSetting('mode')) {
+        const isSwitch = mode === 'switch';
+        const [add, remove] = isSwitch ? ['onoff', 'button'] : ['button', 'onoff'];
+
+        if (this.hasCapability(remove)) {
+            await this.removeCapability(remove).catch(this.error);
+        }
+        if (!this.hasCapability(add)) {
+            this.log(`Switching to ${add}`);
+            await this.addCapability(add).catch(this.error);
+        }
+
+        // Capability listeners are registered for the capabilities that exist
+        this.registerDataPoints(dataPoints);
+        if (this.hasCapability('button')) {
+            this.registerCapabilityListener('button', () => this.press());
+        }
+    }
+
+    async press() {
+        await this.writeDataPoint('onOff', true);
+    }
+
+    /**
+     * Presses for a number of seconds instead of the `delay` setting, which is restored after
+     * the press.
+     *
+     * @param {number} seconds - Time to hold the press
+     */
+    async pressFor(seconds) {
+        if (this.getSetting('mode') === 'switch') {
+            throw new Error('The Fingerbot is in switch mode');
+        }
+
+        const delay = this.getSetting('delay');
+        await this.writeDataPoint('delay', seconds);
+        try {
+            await this.press();
+            await new Promise(resolve => this.homey.setTimeout(resolve, seconds * 1000));
+        } finally {
+            await this.writeDataPoint('delay', delay).catch(err => this.error('Could not restore the delay:', err));
+        }
+    }
+
+    async onSettings({ oldSettings, newSettings, changedKeys }) {
+        const result = await super.onSettings({ oldSettings, newSettings, changedKeys });
+
+        if (changedKeys.includes('mode')) {
+            await this.updateModeCapabilities(newSettings.mode);
+        }
+        return result;
+    }
+
+    onDeleted() {
+        this.log('Tuya Fingerbot removed');
+    }
+}
+
+module.exports = TuyaFingerbot;
@@ -0,0 +1,18 @@
+'use strict';
+
+const { ZigBeeDriver } = require('homey-zigbeedriver');
+
+class TuyaFingerbotDriver extends ZigBeeDriver {
+
+    async onInit() {
+        this.homey.flow.getActionCard('fingerbot_press_for')
+            .registerRunListener(async (args) => {
+                await args.device.pressFor(args.seconds);
+            });
+
+        this.log('Tuya Fingerbot Driver has been initialized');
+    }
+
+}
+
+module.exports = TuyaFingerbotDriver;
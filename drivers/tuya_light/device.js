@@ -0,0 +1,188 @@
+'use strict';
+
+const { Cluster } = require('zigbee-clusters');
+const TuyaSpecificCluster = require('../../lib/TuyaSpecificCluster');
+const TuyaSpecificClusterDevice = require('../../lib/TuyaSpecificClusterDevice');
+const { V1_LIGHT_DATA_POINTS: V1, V2_LIGHT_DATA_POINTS: V2 } = require('../../lib/TuyaDataPoints');
+const { parseHsvColor, marshalHsvColor, marshalScene } = require('../../lib/TuyaHelpers');
+
+Cluster.addCluster(TuyaSpecificCluster);
+
+const MODES = ['white', 'colour', 'scene', 'music'];
+
+// The brightness datapoints (10-1000) do not accept 0, off is a switch
+const atLeastOnePercent = value => Math.max(0.01, value);
+
+// Tuya colour temperature 0 is warm, Homey `light_temperature` 0 is cold
+const invertTemperature = value => 1 - value;
+
+// Data Points for TS0601 lights, version 1. These have no colour temperature.
+const V1_DATA_POINTS = {
+    onOff: { dp: V1.onOff, type: 'bool', capability: 'onoff', direction: 'both' },
+    mode: { dp: V1.mode, type: 'enum', map: MODES },
+    brightness: { dp: V1.whiteDimLevel, type: 'value', scale: 3, to: atLeastOnePercent },
+    colour: { dp: V1.color, type: 'string', from: parseHsvColor, to: value => marshalHsvColor(value, 'v1') },
+};
+
+// Data Points for TS0601 lights, version 2
+const V2_DATA_POINTS = {
+    onOff: { dp: V2.onOff, type: 'bool', capability: 'onoff', direction: 'both' },
+    mode: { dp: V2.mode, type: 'enum', map: MODES },
+    brightness: { dp: V2.brightness, type: 'value', scale: 3, to: atLeastOnePercent },
+    temperature: { dp: V2.colorTemperature, type: 'value', scale: 3, from: invertTemperature, to: invertTemperature },
+    colour: { dp: V2.color, type: 'string', from: parseHsvColor, to: value => marshalHsvColor(value, 'v2') },
+    scene: { dp: V2.scene, type: 'string' },
+};
+
+const V1_DPS = Object.values(V1_DATA_POINTS).map(entry => entry.dp);
+const V2_DPS = Object.values(V2_DATA_POINTS).map(entry => entry.dp);
+
+const COLOR_CAPABILITIES = ['dim', 'light_hue', 'light_saturation', 'light_temperature', 'light_mode'];
+
+/**
+ * Tuya light (bulbs and LED strips) with the V1 or V2 light datapoints. The version is detected
+ * from the datapoints the light reports and kept in the store, V2 is assumed until then.
+ * The light has a white and a colour mode; in colour mode the brightness is the value of the
+ * HSV colour, in white mode a separate datapoint. Scenes (V2 only) are composed with the
+ * "Set scene" Flow action.
+ */
+class TuyaLight extends TuyaSpecificClusterDevice {
+
+    async onNodeInit({ zclNode }) {
+        this.printNode();
+
+        // Last reported mode, brightness, colour temperature and colour
+        this.state = {};
+
+        this.version = this.getStoreValue('version') || 'v2';
+        await this.registerVersion();
+        this.registerMultipleCapabilityListener(
+            COLOR_CAPABILITIES.filter(capability => this.hasCapability(capability)),
+            values => this.setLight(values),
+            500,
+        );
+
+        // The light reports all datapoints when asked, which reveals its version
+        if (!this.getStoreValue('version')) {
+            this.queryDataPoints().catch(err => this.log('Could not query data points:', err.message));
+        }
+    }
+
+    async registerVersion() {
+        if (this.version === 'v1' && this.hasCapability('light_temperature')) {
+            await this.removeCapability('light_temperature').catch(this.error);
+        }
+        this.registerDataPoints(this.version === 'v1' ? V1_DATA_POINTS : V2_DATA_POINTS);
+    }
+
+    async onDataPoint(data, endpoint) {
+        if (!this.getStoreValue('version')) {
+            const version = V1_DPS.includes(data.dp) ? 'v1' : V2_DPS.includes(data.dp) ? 'v2' : null;
+            if (version) {
+                this.log(`Detected ${version} light`);
+                this.version = version;
+                await this.setStoreValue('version', version).catch(this.error);
+                await this.registerVersion();
+            }
+        }
+
+        await super.onDataPoint(data, endpoint);
+
+        const entry = this._dataPointsByDp && this._dataPointsByDp.get(`${endpoint}:${data.dp}`);
+        if (entry && ['mode', 'brightness', 'temperature', 'colour'].includes(entry.name)) {
+            this.state[entry.name] = this.parseDataPointValue(entry, data);
+            await this.updateLightCapabilities();
+        }
+    }
+
+    /**
+     * Shows the reported light state in the capabilities of the current mode.
+     */
+    async updateLightCapabilities() {
+        const { mode, brightness, temperature, colour } = this.state;
+        const values = {};
+
+        if (mode) {
+            values.light_mode = mode === 'white' ? 'temperature' : 'color';
+        }
+        if (colour) {
+            values.light_hue = colour.hue;
+            values.light_saturation = colour.saturation;
+        }
+        if (typeof temperature === 'number') {
+            values.light_temperature = temperature;
+        }
+        if (mode === 'white' && typeof brightness === 'number') {
+            values.dim = brightness;
+        } else if (mode === 'colour' && colour) {
+            values.dim = colour.value;
+        }
+
+        for (const [capability, value] of Object.entries(values)) {
+            if (this.hasCapability(capability)) {
+                await this.setCapabilityValue(capability, value).catch(this.error);
+            }
+        }
+    }
+
+    /**
+     * Writes changed colour capabilities: hue and saturation switch the light to colour mode,
+     * the colour temperature to white mode, the brightness applies to the current mode.
+     *
+     * @param {Object} values - Changed capability values
+     */
+    async setLight(values) {
+        let mode = values.light_mode;
+        if (!mode && (values.light_hue !== undefined || values.light_saturation !== undefined)) {
+            mode = 'color';
+        } else if (!mode && values.light_temperature !== undefined) {
+            mode = 'temperature';
+        }
+        mode = mode || this.getCapabilityValue('light_mode') || 'temperature';
+
+        const dim = atLeastOnePercent(values.dim ?? this.getCapabilityValue('dim') ?? 1);
+        const tuyaMode = mode === 'color' ? 'colour' : 'white';
+        const modeChanged = this.state.mode !== tuyaMode;
+
+        if (modeChanged) {
+            await this.writeDataPoint('mode', tuyaMode);
+        }
+        if (mode === 'color') {
+            await this.writeDataPoint('colour', {
+                hue: values.light_hue ?? this.getCapabilityValue('light_hue') ?? 0,
+                saturation: values.light_saturation ?? this.getCapabilityValue('light_saturation') ?? 1,
+                value: dim,
+            });
+            return;
+        }
+
+        if (values.dim !== undefined || modeChanged) {
+            await this.writeDataPoint('brightness', dim);
+        }
+        if (values.light_temperature !== undefined && this.version === 'v2') {
+            await this.writeDataPoint('temperature', values.light_temperature);
+        }
+    }
+
+    /**
+     * Plays a scene composed of up to 8 colours, see `marshalScene`.
+     *
+     * @param {Object} scene
+     * @param {string} scene.mode - Change mode: 'static', 'jump' or 'gradient'
+     * @param {number} scene.speed - Speed (1-100)
+     * @param {Object[]} scene.colors - Colours, see `parseHsvColor`
+     */
+    async setScene({ mode, speed, colors }) {
+        if (this.version !== 'v2') {
+            throw new Error('This light has no scenes');
+        }
+        await this.writeDataPoint('scene', marshalScene({ mode, speed, colors }));
+        await this.writeDataPoint('mode', 'scene');
+    }
+
+    onDeleted() {
+        this.log('Tuya Light removed');
+    }
+}
+
+module.exports = TuyaLight;
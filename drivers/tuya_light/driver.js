@@ -0,0 +1,20 @@
+'use strict';
+
+const { ZigBeeDriver } = require('homey-zigbeedriver');
+const { parseHexColor } = require('../../lib/TuyaHelpers');
+
+class TuyaLightDriver extends ZigBeeDriver {
+
+    async onInit() {
+        this.homey.flow.getActionCard('light_set_scene')
+            .registerRunListener(async (args) => {
+                const colors = args.colors.split(/[\s,]+/).filter(Boolean).map(parseHexColor);
+                await args.device.setScene({ mode: args.mode, speed: args.speed, colors });
+            });
+
+        this.log('Tuya Light Driver has been initialized');
+    }
+
+}
+
+module.exports = TuyaLightDriver;
@@ -0,0 +1,218 @@
+'use strict';
+
+const { Cluster } = require('zigbee-clusters');
+const TuyaSpecificCluster = require('../../lib/TuyaSpecificCluster');
+const TuyaSpecificClusterDevice = require('../../lib/TuyaSpecificClusterDevice');
+const { V1_MULTI_SWITCH_DATA_POINTS: V1, V2_MULTI_SWITCH_DATA_POINTS: V2 } = require('../../lib/TuyaDataPoints');
+const { getDataValue, parseInching, marshalInching } = require('../../lib/TuyaHelpers');
+
+Cluster.addCluster(TuyaSpecificCluster);
+
+const { gangDataPoints } = TuyaSpecificClusterDevice;
+
+// Gangs the driver settings are defined for
+const MAX_GANGS = 4;
+
+// TS0601 switches that use the V2 datapoints, the other switches use V1
+const V2_MANUFACTURERS = ['_TZE200_nkjintbl', '_TZE200_aqnazj70', '_TZE200_1n2kyphz'];
+
+const POWER_ON_STATES = ['off', 'on', 'memory'];
+const INDICATOR_MODES = ['none', 'on', 'relay', 'pos'];
+
+// Setting of a gang, with the suffix of `gangDataPoints`
+const gangSetting = (setting, gang) => (gang > 1 ? `${setting}_gang${gang}` : setting);
+
+// Inching times of all gangs are one datapoint, with a setting per gang
+const INCHING_SETTINGS = Array.from({ length: MAX_GANGS }, (_, index) => gangSetting('inching', index + 1));
+
+// Data Points for TS0601 multi-gang switches, version 1
+const V1_DATA_POINTS = {
+    ...gangDataPoints('onOff', [V1.onOffSwitchOne, V1.onOffSwitchTwo, V1.onOffSwitchThree, V1.onOffSwitchFour], {
+        type: 'bool', capability: 'onoff', direction: 'both',
+    }),
+    ...gangDataPoints('countdown', [V1.countdownSwitchOne, V1.countdownSwitchTwo, V1.countdownSwitchThree, V1.countdownSwitchFour], {
+        type: 'value',
+    }),
+    powerOnState: { dp: V1.powerOnStateSetting, type: 'enum', setting: 'power_on_state', map: POWER_ON_STATES },
+    indicatorMode: { dp: V1.indicatorStatusSetting, type: 'enum', setting: 'indicator_mode', map: INDICATOR_MODES },
+    childLock: { dp: V1.childLock, type: 'bool', setting: 'child_lock' },
+};
+
+// Data Points for TS0601 multi-gang switches, version 2
+const V2_DATA_POINTS = {
+    ...gangDataPoints('onOff', [V2.onOffSwitchOne, V2.onOffSwitchTwo, V2.onOffSwitchThree, V2.onOffSwitchFour], {
+        type: 'bool', capability: 'onoff', direction: 'both',
+    }),
+    ...gangDataPoints('countdown', [V2.countdownSwitchOne, V2.countdownSwitchTwo, V2.countdownSwitchThree, V2.countdownSwitchFour], {
+        type: 'value',
+    }),
+    masterSwitch: { dp: V2.masterSwitch, type: 'bool', capability: 'onoff.master', direction: 'both' },
+    powerOnState: { dp: V2.powerStatusSetting, type: 'enum', setting: 'power_on_state', map: POWER_ON_STATES },
+    indicatorMode: { dp: V2.indicatorLightStatusSetting, type: 'enum', setting: 'indicator_mode', map: INDICATOR_MODES },
+    backlight: { dp: V2.backlightSwitch, type: 'bool', setting: 'backlight' },
+    inching: { dp: V2.inchingSwitch, type: 'string' },
+    ...gangDataPoints('relayPowerOnState', [
+        V2.powerStatusSettingSwitchOne, V2.powerStatusSettingSwitchTwo, V2.powerStatusSettingSwitchThree, V2.powerStatusSettingSwitchFour,
+    ], { type: 'enum', setting: 'relay_power_on_state', map: POWER_ON_STATES }),
+};
+
+// Device settings of both versions, other settings (discovery, firmware) belong to the app
+const DEVICE_SETTINGS = new Set([
+    ...[V1_DATA_POINTS, V2_DATA_POINTS].flatMap(dataPoints => Object.values(dataPoints).map(entry => entry.setting)),
+    ...INCHING_SETTINGS,
+]);
+
+/**
+ * Tuya multi-gang wall switch with up to 4 gangs, as `onoff` (gang 1) and `onoff.gang2` ...
+ * sub-capabilities. The gang count is detected from the on/off datapoints the switch reports
+ * and kept in the store; the capabilities of the other gangs are added when they are found.
+ * `onoff.master` switches all gangs, on V1 switches (no master datapoint) one by one.
+ */
+class TuyaMultiSwitch extends TuyaSpecificClusterDevice {
+
+    async onNodeInit({ zclNode }) {
+        this.printNode();
+
+        this.version = V2_MANUFACTURERS.includes(this.getSetting('zb_manufacturer_name')) ? 'v2' : 'v1';
+        this.dataPoints = this.version === 'v2' ? V2_DATA_POINTS : V1_DATA_POINTS;
+        this.gangs = this.getStoreValue('gangs') || 1;
+        this.log(`Multi-gang switch ${this.version}, ${this.gangs} gang(s)`);
+
+        await this.addGangCapabilities();
+        this.registerDataPoints(this.dataPoints);
+        if (this.version === 'v1') {
+            this.registerCapabilityListener('onoff.master', value => this.setAllGangs(value));
+        }
+
+        // The switch reports all datapoints when asked, which reveals its gangs
+        if (!this.getStoreValue('gangs')) {
+            this.queryDataPoints().catch(err => this.log('Could not query data points:', err.message));
+        }
+    }
+
+    async onDataPoint(data, endpoint) {
+        const entry = this._dataPointsByDp && this._dataPointsByDp.get(`${endpoint}:${data.dp}`);
+        if (entry && entry.name.startsWith('onOff') && entry.gang > this.gangs) {
+            await this.setGangs(entry.gang);
+        }
+
+        await super.onDataPoint(data, endpoint);
+
+        if (entry && entry.name === 'inching') {
+            await this.onInching(data);
+        }
+        if (this.version === 'v1' && entry && entry.name.startsWith('onOff')) {
+            await this.updateMaster();
+        }
+    }
+
+    /**
+     * Stores a new gang count and adds the capabilities of the new gangs.
+     *
+     * @param {number} gangs - Number of gangs
+     */
+    async setGangs(gangs) {
+        this.log(`Detected ${gangs} gangs`);
+        this.gangs = gangs;
+        await this.setStoreValue('gangs', gangs).catch(this.error);
+        await this.addGangCapabilities();
+
+        // Capability listeners are registered for the capabilities that exist
+        this.registerDataPoints(this.dataPoints);
+    }
+
+    async addGangCapabilities() {
+        const capabilities = ['onoff.master'];
+        for (let gang = 2; gang <= this.gangs; gang++) {
+            capabilities.push(`onoff.gang${gang}`);
+        }
+
+        for (const capability of capabilities) {
+            if (this.hasCapability(capability)) continue;
+
+            await this.addCapability(capability).catch(this.error);
+            const gang = capability.match(/gang(\d)$/);
+            await this.setCapabilityOptions(capability, {
+                title: gang ? { en: `Gang ${gang[1]}`, nl: `Kanaal ${gang[1]}` } : { en: 'All', nl: 'Alles' },
+                uiQuickAction: false,
+            }).catch(this.error);
+        }
+    }
+
+    /**
+     * Switches all gangs of a V1 switch, which has no master datapoint.
+     *
+     * @param {boolean} value - On or off
+     */
+    async setAllGangs(value) {
+        for (let gang = 1; gang <= this.gangs; gang++) {
+            await this.writeDataPoint(`onOff${gang}`, value);
+        }
+    }
+
+    async updateMaster() {
+        const gangs = [this.getCapabilityValue('onoff')];
+        for (let gang = 2; gang <= this.gangs; gang++) {
+            gangs.push(this.getCapabilityValue(`onoff.gang${gang}`));
+        }
+        await this.setCapabilityValue('onoff.master', gangs.some(Boolean)).catch(this.error);
+    }
+
+    /**
+     * Shows the reported inching times in the gang settings.
+     */
+    async onInching(data) {
+        const times = parseInching(getDataValue(data));
+        const settings = {};
+        times.slice(0, MAX_GANGS).forEach((seconds, index) => {
+            settings[gangSetting('inching', index + 1)] = seconds;
+        });
+        await this.setSettings(settings).catch(this.error);
+    }
+
+    /**
+     * Returns true when this switch has the datapoint of a setting, for its version and
+     * number of gangs.
+     *
+     * @param {string} key - Setting ID
+     * @returns {boolean}
+     */
+    supportsSetting(key) {
+        if (!DEVICE_SETTINGS.has(key)) return true;
+
+        const gang = Number((key.match(/_gang(\d)$/) || [])[1] || 1);
+        if (gang > this.gangs) return false;
+        if (INCHING_SETTINGS.includes(key)) return this.version === 'v2';
+        return this._dataPointsBySetting.has(key);
+    }
+
+    async onSettings({ oldSettings, newSettings, changedKeys }) {
+        const unsupported = changedKeys.filter(key => !this.supportsSetting(key));
+        if (unsupported.length > 0) {
+            const labels = unsupported.map(key => {
+                const gang = key.match(/_gang(\d)$/);
+                return gang ? `${this.getSettingLabel(key)} (gang ${gang[1]})` : this.getSettingLabel(key);
+            });
+            throw new Error(`Not available on this switch: ${labels.join(', ')}`);
+        }
+
+        // Inching of all gangs is one datapoint, validated before any setting is written
+        let inching;
+        if (changedKeys.some(key => INCHING_SETTINGS.includes(key))) {
+            const times = INCHING_SETTINGS.slice(0, this.gangs).map(key => newSettings[key]);
+            inching = marshalInching(times);
+        }
+
+        const result = await super.onSettings({ oldSettings, newSettings, changedKeys });
+        if (inching) {
+            await this.writeDataPoint('inching', inching);
+        }
+        return result;
+    }
+
+    onDeleted() {
+        this.log('Tuya Multi Switch removed');
+    }
+}
+
+module.exports = TuyaMultiSwitch;
@@ -0,0 +1,13 @@
+'use strict';
+
+const { ZigBeeDriver } = require('homey-zigbeedriver');
+
+class TuyaMultiSwitchDriver extends ZigBeeDriver {
+
+    async onInit() {
+        this.log('Tuya Multi Switch Driver has been initialized');
+    }
+
+}
+
+module.exports = TuyaMultiSwitchDriver;
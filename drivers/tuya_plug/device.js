@@ -0,0 +1,102 @@
+'use strict';
+
+const { Cluster } = require('zigbee-clusters');
+const TuyaSpecificCluster = require('../../lib/TuyaSpecificCluster');
+const TuyaSpecificClusterDevice = require('../../lib/TuyaSpecificClusterDevice');
+const { V1_SINGLE_SWITCH_DATA_POINTS: DP } = require('../../lib/TuyaDataPoints');
+
+Cluster.addCluster(TuyaSpecificCluster);
+
+// Data Points for TS0601 single switches with power monitoring, version 1.
+// Power and voltage are reported in tenths (0-50000: 0-5000.0 W, 0-5000: 0-500.0 V).
+const dataPoints = {
+    onOff: { dp: DP.onOff, type: 'bool', capability: 'onoff', direction: 'both' },
+    countDown: { dp: DP.countDown, type: 'value' },                                                 // seconds
+    current: { dp: DP.current, type: 'value', scale: 3, capability: 'measure_current' },            // mA
+    power: { dp: DP.power, type: 'value', scale: 1, capability: 'measure_power' },
+    voltage: { dp: DP.voltage, type: 'value', scale: 1, capability: 'measure_voltage' },
+};
+
+/**
+ * Tuya plug with power monitoring. The V1 single switch datapoints have no energy counter,
+ * so `meter_power` is integrated from the power reports. The plug switches itself off when
+ * the power exceeds the `max_power` setting.
+ */
+class TuyaPlug extends TuyaSpecificClusterDevice {
+
+    async onNodeInit({ zclNode }) {
+        this.printNode();
+
+        // Energy is only counted between reports received by this instance, not over the time
+        // the app was not running
+        this._powerSample = null;
+        this._switchingOff = false;
+
+        this.registerDataPoints(dataPoints);
+    }
+
+    async onDataPoint(data, endpoint) {
+        await super.onDataPoint(data, endpoint);
+        if (data.dp !== DP.power) return;
+
+        const power = this.getCapabilityValue('measure_power');
+        await this.addEnergy(power);
+        await this.checkOverPower(power);
+    }
+
+    /**
+     * Adds the energy used since the previous power report to `meter_power`. The plug reports
+     * the power when it changes, so the previous power applies to the whole interval.
+     *
+     * @param {number} power - Reported power (W)
+     */
+    async addEnergy(power) {
+        const now = Date.now();
+        const previous = this._powerSample;
+        this._powerSample = { power, time: now };
+        if (!previous || previous.power <= 0) return;
+
+        const energy = previous.power * (now - previous.time) / 3600000 / 1000;     // kWh
+        const meter = (this.getCapabilityValue('meter_power') || 0) + energy;
+        await this.setCapabilityValue('meter_power', meter).catch(this.error);
+    }
+
+    /**
+     * Switches the plug off when the power is above the `max_power` setting (0: disabled).
+     *
+     * @param {number} power - Reported power (W)
+     */
+    async checkOverPower(power) {
+        const maxPower = this.getSetting('max_power');
+        if (!maxPower || power <= maxPower || this._switchingOff) return;
+        if (this.getCapabilityValue('onoff') === false) return;
+
+        this.log(`Power ${power} W is above the maximum of ${maxPower} W, switching off`);
+        this._switchingOff = true;
+        try {
+            await this.writeDataPoint('onOff', false);
+            await this.homey.flow.getDeviceTriggerCard('plug_overpower')
+                .trigger(this, { power }, {})
+                .catch(this.error);
+        } catch (err) {
+            this.error('Could not switch off after over-power:', err);
+        } finally {
+            this._switchingOff = false;
+        }
+    }
+
+    /**
+     * Starts the countdown after which the plug switches to the opposite state.
+     *
+     * @param {number} minutes - Countdown in minutes, 0 cancels it
+     */
+    async setCountdown(minutes) {
+        await this.writeDataPoint('countDown', Math.round(minutes * 60));
+    }
+
+    onDeleted() {
+        this.log('Tuya Plug removed');
+    }
+}
+
+module.exports = TuyaPlug;
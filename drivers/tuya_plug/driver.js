@@ -0,0 +1,18 @@
+'use strict';
+
+const { ZigBeeDriver } = require('homey-zigbeedriver');
+
+class TuyaPlugDriver extends ZigBeeDriver {
+
+    async onInit() {
+        this.homey.flow.getActionCard('plug_countdown')
+            .registerRunListener(async (args) => {
+                await args.device.setCountdown(args.minutes);
+            });
+
+        this.log('Tuya Plug Driver has been initialized');
+    }
+
+}
+
+module.exports = TuyaPlugDriver;
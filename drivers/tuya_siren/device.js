@@ -0,0 +1,114 @@
+'use strict';
+
+const { Cluster } = require('zigbee-clusters');
+const TuyaSpecificCluster = require('../../lib/TuyaSpecificCluster');
+const TuyaSpecificClusterDevice = require('../../lib/TuyaSpecificClusterDevice');
+const { V1_SIREN_TEMPHUMID_SENSOR_DATA_POINTS: DP } = require('../../lib/TuyaDataPoints');
+
+Cluster.addCluster(TuyaSpecificCluster);
+
+const VOLUMES = ['high', 'medium', 'low'];
+
+// Melodies are shown as 1-18, the device numbers them 0-17
+const MELODIES = Array.from({ length: 18 }, (_, index) => String(index + 1));
+
+// Battery enum of Neo sirens, in %. Powered over USB the battery is not used.
+const NEO_BATTERY = {
+    0: 100,     // battery_full
+    1: 75,      // battery_high
+    2: 50,      // battery_medium
+    3: 10,      // battery_low
+    4: 100,     // usb
+};
+
+// Data Points for TS0601 sirens, version 1
+const CLASSIC_DATA_POINTS = {
+    alarm: { dp: DP.alarm, type: 'bool', capability: 'onoff', direction: 'both' },
+    volume: { dp: DP.volume, type: 'enum', setting: 'volume', map: VOLUMES },
+    duration: { dp: DP.duration, type: 'value', setting: 'duration' },                  // seconds
+    melody: { dp: DP.melody, type: 'enum', setting: 'melody', map: MELODIES },
+    battery: { dp: DP.battery, type: 'value', capability: 'measure_battery' },
+};
+
+// Data Points for TS0601 Neo sirens with temperature and humidity sensor, version 1
+const NEO_DATA_POINTS = {
+    alarm: { dp: DP.neoAlarm, type: 'bool', capability: 'onoff', direction: 'both' },
+    volume: { dp: DP.neoVolume, type: 'enum', setting: 'volume', map: VOLUMES },
+    duration: { dp: DP.neoDuration, type: 'value', setting: 'duration' },               // seconds
+    melody: { dp: DP.neoMelody, type: 'enum', setting: 'melody', map: MELODIES },
+    battery: { dp: DP.neoBattery, type: 'enum', capability: 'measure_battery', map: NEO_BATTERY },
+    temperature: { dp: DP.neoTemperature, type: 'value', signed: true, scale: 1, capability: 'measure_temperature' },
+    humidity: { dp: DP.neoHumidity, type: 'value', capability: 'measure_humidity' },
+};
+
+const VARIANT_DATA_POINTS = {
+    classic: CLASSIC_DATA_POINTS,
+    neo: NEO_DATA_POINTS,
+};
+
+/**
+ * Tuya siren, in the classic or the Neo datapoint variant. The variant is detected from the
+ * datapoints the siren reports and kept in the store, Neo is assumed until then. Classic
+ * sirens have no temperature and humidity sensor, their capabilities are removed.
+ */
+class TuyaSiren extends TuyaSpecificClusterDevice {
+
+    async onNodeInit({ zclNode }) {
+        this.printNode();
+
+        this.variant = this.getStoreValue('variant') || 'neo';
+        await this.registerVariant();
+
+        // The siren reports all datapoints when asked, which reveals its variant
+        if (!this.getStoreValue('variant')) {
+            this.queryDataPoints().catch(err => this.log('Could not query data points:', err.message));
+        }
+    }
+
+    async registerVariant() {
+        if (this.variant === 'classic') {
+            for (const capability of ['measure_temperature', 'measure_humidity']) {
+                if (this.hasCapability(capability)) {
+                    await this.removeCapability(capability).catch(this.error);
+                }
+            }
+        }
+        this.registerDataPoints(VARIANT_DATA_POINTS[this.variant]);
+    }
+
+    async onDataPoint(data, endpoint) {
+        if (!this.getStoreValue('variant')) {
+            const variant = Object.keys(VARIANT_DATA_POINTS)
+                .find(name => Object.values(VARIANT_DATA_POINTS[name]).some(entry => entry.dp === data.dp));
+            if (variant) {
+                this.log(`Detected ${variant} siren`);
+                this.variant = variant;
+                await this.setStoreValue('variant', variant).catch(this.error);
+                await this.registerVariant();
+            }
+        }
+
+        await super.onDataPoint(data, endpoint);
+    }
+
+    /**
+     * Plays a melody, the volume and duration are kept as the siren's settings.
+     *
+     * @param {Object} options
+     * @param {string} options.melody - Melody, '1' - '18'
+     * @param {string} options.volume - 'low', 'medium' or 'high'
+     * @param {number} options.duration - Duration in seconds
+     */
+    async playMelody({ melody, volume, duration }) {
+        await this.writeDataPoint('melody', melody);
+        await this.writeDataPoint('volume', volume);
+        await this.writeDataPoint('duration', duration);
+        await this.writeDataPoint('alarm', true);
+    }
+
+    onDeleted() {
+        this.log('Tuya Siren removed');
+    }
+}
+
+module.exports = TuyaSiren;
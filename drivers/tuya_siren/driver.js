@@ -0,0 +1,18 @@
+'use strict';
+
+const { ZigBeeDriver } = require('homey-zigbeedriver');
+
+class TuyaSirenDriver extends ZigBeeDriver {
+
+    async onInit() {
+        this.homey.flow.getActionCard('siren_play_melody')
+            .registerRunListener(async (args) => {
+                await args.device.playMelody({ melody: String(args.melody), volume: args.volume, duration: args.duration });
+            });
+
+        this.log('Tuya Siren Driver has been initialized');
+    }
+
+}
+
+module.exports = TuyaSirenDriver;
@@ -0,0 +1,134 @@
+'use strict';
+
+const { Cluster } = require('zigbee-clusters');
+const TuyaSpecificCluster = require('../../lib/TuyaSpecificCluster');
+const TuyaSpecificClusterDevice = require('../../lib/TuyaSpecificClusterDevice');
+const { getDataValue, parseHsvColor, marshalHsvColor } = require('../../lib/TuyaHelpers');
+
+Cluster.addCluster(TuyaSpecificCluster);
+
+// Effects by the character that selects them in the effect datapoint, see lib/TuyaProtocol.md
+const EFFECTS = {
+    0: 'steady',
+    1: 'snow',
+    2: 'rainbow',
+    3: 'snake',
+    4: 'twinkle',
+    5: 'fireworks',
+    6: 'horizontal_flag',
+    7: 'waves',
+    8: 'up_and_down',
+    9: 'vintage',
+    a: 'fading',
+    b: 'collide',
+    c: 'strobe',
+    d: 'sparkles',
+    e: 'carnival',
+    f: 'glow',
+};
+
+// The effect datapoint is an ASCII string: an unknown character, the effect and the speed
+// (hex, 00-64), optionally followed by a colour. '0000' is a steady light at speed 0.
+function parseEffect(value) {
+    return {
+        effect: EFFECTS[value.charAt(1).toLowerCase()],
+        speed: parseInt(value.slice(2, 4), 16),
+    };
+}
+
+function marshalEffect({ effect, speed }) {
+    const code = Object.keys(EFFECTS).find(key => EFFECTS[key] === effect);
+    if (code === undefined) {
+        throw new Error(`Unknown effect "${effect}"`);
+    }
+    return `0${code}${Math.round(speed).toString(16).padStart(2, '0')}`;
+}
+
+// The luminance datapoint (0-100) does not accept 0, off is a switch
+const atLeastOnePercent = value => Math.max(0.01, value);
+
+// Data Points of Tuya string lights, see lib/TuyaProtocol.md
+const dataPoints = {
+    onOff: { dp: 1, type: 'bool', capability: 'onoff', direction: 'both' },
+    mode: { dp: 2, type: 'enum', capability: 'tuya_light_mode', direction: 'both', map: ['white', 'colour', 'effect'] },
+    brightness: { dp: 3, type: 'value', scale: 2, capability: 'dim', direction: 'both', to: atLeastOnePercent },
+    colour: { dp: 5, type: 'string', from: parseHsvColor, to: value => marshalHsvColor(value, 'v1') },
+    effect: { dp: 6, type: 'string', from: parseEffect, to: marshalEffect },
+    fault: { dp: 7, type: 'bitmap', capability: 'alarm_generic', from: value => value !== 0 },
+};
+
+/**
+ * Tuya string (Christmas) lights with a white, colour and effect mode. Changing the colour or
+ * the effect switches the lights to that mode; the brightness applies to every mode.
+ */
+class TuyaStringLights extends TuyaSpecificClusterDevice {
+
+    async onNodeInit({ zclNode }) {
+        this.printNode();
+
+        this.registerDataPoints(dataPoints);
+        this.registerMultipleCapabilityListener(['light_hue', 'light_saturation'], values => this.setColour(values), 500);
+        this.registerMultipleCapabilityListener(['tuya_light_effect', 'tuya_effect_speed'], values => this.setEffect(values), 500);
+    }
+
+    async onDataPoint(data, endpoint) {
+        await super.onDataPoint(data, endpoint);
+
+        const entry = this._dataPointsByDp && this._dataPointsByDp.get(`${endpoint}:${data.dp}`);
+        if (!entry) return;
+
+        if (entry.name === 'colour') {
+            const { hue, saturation } = this.parseDataPointValue(entry, data);
+            await this.setCapabilityValue('light_hue', hue).catch(this.error);
+            await this.setCapabilityValue('light_saturation', saturation).catch(this.error);
+        } else if (entry.name === 'effect') {
+            const { effect, speed } = this.parseDataPointValue(entry, data);
+            if (effect) {
+                await this.setCapabilityValue('tuya_light_effect', effect).catch(this.error);
+            }
+            await this.setCapabilityValue('tuya_effect_speed', Math.min(100, speed)).catch(this.error);
+        } else if (entry.name === 'fault' && getDataValue(data) !== 0) {
+            // The meaning of the fault bits is unknown, log them for diagnosis
+            this.error('Fault reported, bitmap:', getDataValue(data).toString(2));
+        }
+    }
+
+    async setMode(mode) {
+        if (this.getCapabilityValue('tuya_light_mode') !== mode) {
+            await this.writeDataPoint('mode', mode);
+        }
+    }
+
+    /**
+     * Switches the lights to colour mode with the changed hue and/or saturation.
+     *
+     * @param {Object} values - Changed capability values
+     */
+    async setColour(values) {
+        await this.setMode('colour');
+        await this.writeDataPoint('colour', {
+            hue: values.light_hue ?? this.getCapabilityValue('light_hue') ?? 0,
+            saturation: values.light_saturation ?? this.getCapabilityValue('light_saturation') ?? 1,
+            value: 1,
+        });
+    }
+
+    /**
+     * Switches the lights to effect mode with the changed effect and/or speed.
+     *
+     * @param {Object} values - Changed capability values
+     */
+    async setEffect(values) {
+        await this.setMode('effect');
+        await this.writeDataPoint('effect', {
+            effect: values.tuya_light_effect ?? this.getCapabilityValue('tuya_light_effect') ?? 'steady',
+            speed: values.tuya_effect_speed ?? this.getCapabilityValue('tuya_effect_speed') ?? 0,
+        });
+    }
+
+    onDeleted() {
+        this.log('Tuya String Lights removed');
+    }
+}
+
+module.exports = TuyaStringLights;
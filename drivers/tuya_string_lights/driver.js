@@ -0,0 +1,13 @@
+'use strict';
+
+const { ZigBeeDriver } = require('homey-zigbeedriver');
+
+class TuyaStringLightsDriver extends ZigBeeDriver {
+
+    async onInit() {
+        this.log('Tuya String Lights Driver has been initialized');
+    }
+
+}
+
+module.exports = TuyaStringLightsDriver;
@@ -0,0 +1,183 @@
+'use strict';
+
+const { Cluster } = require('zigbee-clusters');
+const TuyaSpecificCluster = require('../../lib/TuyaSpecificCluster');
+const TuyaSpecificClusterDevice = require('../../lib/TuyaSpecificClusterDevice');
+const { V1_THERMOSTAT_DATA_POINTS: DP } = require('../../lib/TuyaDataPoints');
+const { getTimezoneOffset } = require('../../lib/TuyaHelpers');
+
+Cluster.addCluster(TuyaSpecificCluster);
+
+// Setpoints are sent in tenths of a degree, the thermostat accepts them in steps of 0.5 °C
+const toHalfStep = value => Math.round(value * 2) / 2;
+
+// Longest delay of a timer, holiday ends further away are checked again after it
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+// Delay before ending holiday mode is retried when the thermostat did not answer
+const HOLIDAY_RETRY_DELAY = 15 * 60 * 1000;
+
+// Data Points for TS0601 thermostats, version 1
+const dataPoints = {
+    onOff: { dp: DP.onOff, type: 'bool', capability: 'onoff', direction: 'both' },
+    mode: { dp: DP.mode, type: 'enum', capability: 'tuya_thermostat_mode', direction: 'both', map: ['manual', 'auto', 'holiday'] },
+    openWindow: { dp: DP.openWindow, type: 'bool', setting: 'open_window_detection' },
+    frostProtection: { dp: DP.frostProtection, type: 'bool', setting: 'frost_protection' },
+    targetTemperature: { dp: DP.targetTemperature, type: 'value', scale: 1, capability: 'target_temperature', direction: 'both', to: toHalfStep },
+    holidayTemperature: { dp: DP.holidayTemperature, type: 'value', scale: 1, setting: 'holiday_temperature', to: toHalfStep },
+    currentTemperature: { dp: DP.currentTemperature, type: 'value', signed: true, scale: 1, capability: 'measure_temperature' },
+    calibration: { dp: DP.localTemperatureCalibration, type: 'value', signed: true, scale: 1, setting: 'temperature_calibration' },
+    childLock: { dp: DP.childLock, type: 'bool', setting: 'child_lock' },
+    openWindowTemperature: { dp: DP.openWindowTemperature, type: 'value', scale: 1, setting: 'open_window_temperature', to: toHalfStep },
+    comfortTemperature: { dp: DP.comfortTemperature, type: 'value', scale: 1, setting: 'comfort_temperature', to: toHalfStep },
+    ecoTemperature: { dp: DP.ecoTemperature, type: 'value', scale: 1, setting: 'eco_temperature', to: toHalfStep },
+    ...TuyaSpecificClusterDevice.scheduleDataPoints('v1'),
+};
+
+// Datapoints that change which preset the target temperature matches
+const PRESET_DATA_POINTS = [DP.targetTemperature, DP.comfortTemperature, DP.ecoTemperature];
+
+class TuyaThermostat extends TuyaSpecificClusterDevice {
+
+    async onNodeInit({ zclNode }) {
+        this.printNode();
+
+        this.registerDataPoints(dataPoints);
+        this.registerCapabilityListener('thermostat_preset', preset => this.setPreset(preset));
+        this.scheduleHolidayEnd();
+    }
+
+    /**
+     * Keeps the preset in line with the target temperature and forgets a holiday when the
+     * thermostat leaves holiday mode by itself or from its buttons.
+     */
+    async onDataPoint(data, endpoint) {
+        await super.onDataPoint(data, endpoint);
+
+        if (PRESET_DATA_POINTS.includes(data.dp)) {
+            await this.updatePreset();
+        }
+        if (data.dp === DP.mode && this.getCapabilityValue('tuya_thermostat_mode') !== 'holiday' && this.getStoreValue('holiday')) {
+            this.log('Holiday mode ended on the thermostat');
+            await this.clearHoliday();
+        }
+    }
+
+    /**
+     * Sets the target temperature to the comfort or eco temperature.
+     *
+     * @param {string} preset - 'comfort' or 'eco', 'custom' keeps the current target temperature
+     */
+    async setPreset(preset) {
+        if (preset === 'custom') return;
+
+        const temperature = this.getSetting(`${preset}_temperature`);
+        await this.writeDataPoint('targetTemperature', temperature);
+        await this.setCapabilityValue('target_temperature', toHalfStep(temperature)).catch(this.error);
+    }
+
+    async updatePreset() {
+        const target = this.getCapabilityValue('target_temperature');
+        const preset = ['comfort', 'eco'].find(name => this.getSetting(`${name}_temperature`) === target) || 'custom';
+        await this.setCapabilityValue('thermostat_preset', preset).catch(this.error);
+    }
+
+    /**
+     * Switches to holiday mode until the start of the end date, in the timezone of Homey.
+     * The mode the thermostat had before is restored afterwards.
+     *
+     * @param {string} date - End date as given by the Flow date argument, 'dd-mm-yyyy'
+     * @param {number} temperature - Holiday temperature (°C)
+     */
+    async startHoliday(date, temperature) {
+        const end = this.getStartOfDay(date);
+        if (end <= Date.now()) {
+            throw new Error(`The end date ${date} has already passed`);
+        }
+
+        await this.writeDataPoint('holidayTemperature', temperature);
+        await this.setSettings({ holiday_temperature: toHalfStep(temperature) }).catch(this.error);
+
+        const holiday = this.getStoreValue('holiday');
+        const mode = this.getCapabilityValue('tuya_thermostat_mode');
+        const previousMode = holiday ? holiday.previousMode : (mode !== 'holiday' && mode) || 'auto';
+        await this.writeDataPoint('mode', 'holiday');
+        await this.setStoreValue('holiday', { end, previousMode });
+
+        this.log(`Holiday mode until ${new Date(end).toISOString()}, then ${previousMode}`);
+        this.scheduleHolidayEnd();
+    }
+
+    /**
+     * Ends holiday mode and restores the mode the thermostat had before.
+     */
+    async stopHoliday() {
+        const holiday = this.getStoreValue('holiday');
+        await this.writeDataPoint('mode', holiday ? holiday.previousMode : 'auto');
+        await this.clearHoliday();
+    }
+
+    async clearHoliday() {
+        this.homey.clearTimeout(this._holidayTimer);
+        this._holidayTimer = null;
+        await this.unsetStoreValue('holiday').catch(this.error);
+    }
+
+    /**
+     * Sets the timer that ends the stored holiday, or ends it right away when it has passed.
+     */
+    scheduleHolidayEnd() {
+        this.homey.clearTimeout(this._holidayTimer);
+        this._holidayTimer = null;
+
+        const holiday = this.getStoreValue('holiday');
+        if (!holiday) return;
+
+        const delay = holiday.end - Date.now();
+        if (delay > 0) {
+            this._holidayTimer = this.homey.setTimeout(() => this.scheduleHolidayEnd(), Math.min(delay, MAX_TIMEOUT));
+            return;
+        }
+
+        this.stopHoliday().catch(err => {
+            this.error('Could not end holiday mode, retrying:', err);
+            this._holidayTimer = this.homey.setTimeout(() => this.scheduleHolidayEnd(), HOLIDAY_RETRY_DELAY);
+        });
+    }
+
+    /**
+     * Returns the start of a day in the timezone of Homey.
+     *
+     * @param {string} date - Date as 'dd-mm-yyyy'
+     * @returns {number} - Timestamp (ms)
+     */
+    getStartOfDay(date) {
+        const match = /^(\d{2})-(\d{2})-(\d{4})$/.exec(date);
+        if (!match) {
+            throw new Error(`Invalid date "${date}" (expected dd-mm-yyyy)`);
+        }
+
+        const [, day, month, year] = match.map(Number);
+        const midnight = Date.UTC(year, month - 1, day);
+        const timeZone = this.homey.clock.getTimezone();
+
+        // The offset at UTC midnight can differ from the one at local midnight on a DST day,
+        // so it is taken again at the estimated local midnight
+        const estimate = midnight - getTimezoneOffset(timeZone, new Date(midnight)) * 1000;
+        const offset = getTimezoneOffset(timeZone, new Date(estimate));
+        const start = midnight - offset * 1000;
+
+        // Midnight does not exist when DST starts at 00:00, the day then starts at the transition
+        if (getTimezoneOffset(timeZone, new Date(start)) !== offset) {
+            return Math.max(start, estimate);
+        }
+        return start;
+    }
+
+    onDeleted() {
+        this.homey.clearTimeout(this._holidayTimer);
+        this.log('Tuya Thermostat removed');
+    }
+}
+
+module.exports = TuyaThermostat;
@@ -0,0 +1,23 @@
+'use strict';
+
+const { ZigBeeDriver } = require('homey-zigbeedriver');
+
+class TuyaThermostatDriver extends ZigBeeDriver {
+
+    async onInit() {
+        this.homey.flow.getActionCard('thermostat_start_holiday')
+            .registerRunListener(async (args) => {
+                await args.device.startHoliday(args.date, args.temperature);
+            });
+
+        this.homey.flow.getActionCard('thermostat_stop_holiday')
+            .registerRunListener(async (args) => {
+                await args.device.stopHoliday();
+            });
+
+        this.log('Tuya Thermostat Driver has been initialized');
+    }
+
+}
+
+module.exports = TuyaThermostatDriver;
@@ -0,0 +1,83 @@
+'use strict';
+
+const { Cluster } = require('zigbee-clusters');
+const TuyaSpecificCluster = require('../../lib/TuyaSpecificCluster');
+const TuyaSpecificClusterDevice = require('../../lib/TuyaSpecificClusterDevice');
+const { V2_THERMOSTATIC_RADIATOR_VALVE_DATA_POINTS: DP } = require('../../lib/TuyaDataPoints');
+
+Cluster.addCluster(TuyaSpecificCluster);
+
+// Data Points for TS0601 thermostatic radiator valves, version 2
+const dataPoints = {
+    targetTemperature: { dp: DP.targetTemperature, type: 'value', scale: 1, capability: 'target_temperature', direction: 'both' },
+    currentTemperature: { dp: DP.currentTemperature, type: 'value', signed: true, scale: 1, capability: 'measure_temperature' },
+    openWindow: { dp: DP.openWindow, type: 'bool', capability: 'alarm_window_open' },
+    frostProtection: { dp: DP.frostProtection, type: 'bool', setting: 'frost_protection' },
+    battery: { dp: DP.batteryLevel, type: 'value', capability: 'measure_battery' },
+    childLock: { dp: DP.childLock, type: 'bool', setting: 'child_lock' },
+    valvePosition: { dp: DP.valvePosition, type: 'value', capability: 'measure_valve_position' },
+    runningState: { dp: DP.runningState, type: 'enum', capability: 'trv_heating', map: [false, true] },         // idle, heating
+    comfortTemperature: { dp: DP.comfortTemperature, type: 'value', scale: 1, setting: 'comfort_temperature' },
+    ecoTemperature: { dp: DP.ecoTemperature, type: 'value', scale: 1, setting: 'eco_temperature' },
+    holidayTemperature: { dp: DP.holidayTemperature, type: 'value', scale: 1, setting: 'away_temperature' },
+    openWindowTemperature: { dp: DP.openWindowTemperature, type: 'value', scale: 1, setting: 'open_window_temperature' },
+    presetMode: {
+        dp: DP.presetMode,
+        type: 'enum',
+        capability: 'trv_preset_mode',
+        direction: 'both',
+        map: ['schedule', 'manual', 'boost', 'comfort', 'eco', 'away'],
+    },
+    boostTime: { dp: DP.boostTime, type: 'value', setting: 'boost_time' },                                // minutes
+    autoLock: { dp: DP.autoLock, type: 'bool', setting: 'auto_lock' },
+    maxTemperature: { dp: DP.maxTemperature, type: 'value', scale: 1, setting: 'max_temperature' },
+    minTemperature: { dp: DP.minTemperature, type: 'value', scale: 1, setting: 'min_temperature' },
+    ...TuyaSpecificClusterDevice.scheduleDataPoints('v2'),
+};
+
+class TuyaRadiatorValve extends TuyaSpecificClusterDevice {
+
+    async onNodeInit({ zclNode }) {
+        this.printNode();
+
+        this._reportedPreset = this.getCapabilityValue('trv_preset_mode');
+        this.registerDataPoints(dataPoints);
+    }
+
+    /**
+     * Triggers "Preset changed" when the device reports a different preset than it did before,
+     * Homey already shows the new preset when it is changed in the app.
+     */
+    async onDataPoint(data, endpoint) {
+        await super.onDataPoint(data, endpoint);
+        if (data.dp !== DP.presetMode) return;
+
+        const preset = this.getCapabilityValue('trv_preset_mode');
+        if (preset !== this._reportedPreset) {
+            this._reportedPreset = preset;
+            await this.homey.flow.getDeviceTriggerCard('trv_preset_changed')
+                .trigger(this, { preset }, {})
+                .catch(this.error);
+        }
+    }
+
+    async setPresetMode(preset) {
+        await this.writeDataPoint('presetMode', preset);
+    }
+
+    /**
+     * Sets the boost time and switches to the boost preset.
+     *
+     * @param {number} minutes - Boost time in minutes
+     */
+    async startBoost(minutes) {
+        await this.writeDataPoint('boostTime', minutes);
+        await this.writeDataPoint('presetMode', 'boost');
+    }
+
+    onDeleted() {
+        this.log('Tuya Radiator Valve removed');
+    }
+}
+
+module.exports = TuyaRadiatorValve;
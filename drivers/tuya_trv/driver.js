@@ -0,0 +1,23 @@
+'use strict';
+
+const { ZigBeeDriver } = require('homey-zigbeedriver');
+
+class TuyaRadiatorValveDriver extends ZigBeeDriver {
+
+    async onInit() {
+        this.homey.flow.getActionCard('trv_set_preset')
+            .registerRunListener(async (args) => {
+                await args.device.setPresetMode(args.preset);
+            });
+
+        this.homey.flow.getActionCard('trv_start_boost')
+            .registerRunListener(async (args) => {
+                await args.device.startBoost(args.minutes);
+            });
+
+        this.log('Tuya Radiator Valve Driver has been initialized');
+    }
+
+}
+
+module.exports = TuyaRadiatorValveDriver;
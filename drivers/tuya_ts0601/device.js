@@ -0,0 +1,90 @@
+'use strict';
+
+const { Cluster } = require('zigbee-clusters');
+const TuyaSpecificCluster = require('../../lib/TuyaSpecificCluster');
+const TuyaSpecificClusterDevice = require('../../lib/TuyaSpecificClusterDevice');
+const { getFingerprintProfile } = require('../../lib/TuyaFingerprints');
+
+Cluster.addCluster(TuyaSpecificCluster);
+
+// Generic TS0601 device, the datapoint profile is selected from the device fingerprint
+// (see lib/TuyaFingerprints.js). Unknown fingerprints start in discovery mode.
+class TuyaTS0601Device extends TuyaSpecificClusterDevice {
+
+    async onNodeInit({ zclNode }) {
+        this.printNode();
+
+        const { manufacturerName, modelId } = await this.getFingerprint(zclNode);
+        const profile = getFingerprintProfile(manufacturerName, modelId);
+
+        if (!profile) {
+            this.log(`Unknown fingerprint ${manufacturerName} / ${modelId}, no profile`);
+            await this.setSettings({ tuya_profile: `Unknown (${manufacturerName} / ${modelId})` }).catch(this.error);
+            return;
+        }
+
+        this.log(`Fingerprint ${manufacturerName} / ${modelId} uses profile ${profile.id}`);
+        await this.setSettings({ tuya_profile: profile.name }).catch(this.error);
+        await this.applyProfileCapabilities(profile);
+        this.registerDataPoints(profile.dataPoints);
+    }
+
+    /**
+     * Returns the manufacturerName and modelId of the device. They are read from the Basic
+     * cluster when the device is paired and kept in the store, with the values Homey saved
+     * during pairing as fallback. Discovery mode is enabled when an unknown fingerprint is
+     * stored, afterwards the setting is left to the user.
+     */
+    async getFingerprint(zclNode) {
+        let fingerprint = this.getStoreValue('fingerprint');
+        if (fingerprint) return fingerprint;
+
+        fingerprint = {
+            manufacturerName: this.getSetting('zb_manufacturer_name'),
+            modelId: this.getSetting('zb_product_id'),
+        };
+        try {
+            const { manufacturerName, modelId } = await zclNode.endpoints[1].clusters.basic
+                .readAttributes(['manufacturerName', 'modelId']);
+            fingerprint = { manufacturerName, modelId };
+        } catch (err) {
+            this.error('Could not read fingerprint from the Basic cluster:', err);
+        }
+
+        await this.setStoreValue('fingerprint', fingerprint).catch(this.error);
+        if (!getFingerprintProfile(fingerprint.manufacturerName, fingerprint.modelId)) {
+            this.log('Unknown fingerprint, enabling discovery mode');
+            await this.setSettings({ tuya_discovery: true }).catch(this.error);
+        }
+        return fingerprint;
+    }
+
+    /**
+     * Adds the capabilities of the profile and removes the ones a previous profile added
+     * that it does not use. Capabilities added elsewhere (e.g. `tuya_ota_progress` during an
+     * MCU update) are kept.
+     */
+    async applyProfileCapabilities(profile) {
+        const capabilities = Object.values(profile.dataPoints)
+            .map(entry => entry.capability)
+            .filter(Boolean);
+
+        for (const capability of capabilities) {
+            if (!this.hasCapability(capability)) {
+                await this.addCapability(capability).catch(this.error);
+            }
+        }
+        for (const capability of this.getStoreValue('profileCapabilities') || []) {
+            if (!capabilities.includes(capability) && this.hasCapability(capability)) {
+                await this.removeCapability(capability).catch(this.error);
+            }
+        }
+        await this.setStoreValue('profileCapabilities', capabilities).catch(this.error);
+    }
+
+    onDeleted() {
+        this.log('Tuya TS0601 device removed');
+    }
+}
+
+module.exports = TuyaTS0601Device;
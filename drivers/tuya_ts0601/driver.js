@@ -0,0 +1,13 @@
+'use strict';
+
+const { ZigBeeDriver } = require('homey-zigbeedriver');
+
+class TuyaTS0601Driver extends ZigBeeDriver {
+
+    async onInit() {
+        this.log('Tuya TS0601 Driver has been initialized');
+    }
+
+}
+
+module.exports = TuyaTS0601Driver;
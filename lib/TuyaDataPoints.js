@@ -205,7 +205,9 @@ const V1_SIREN_TEMPHUMID_SENSOR_DATA_POINTS = {
     neoDuration: 103, // integer | 0-1800 (seconds)
     neoAlarm: 104, // boolean | on, off
     neoBattery: 101, // enum | battery_full, battery_high, battery_medium, battery_low, usb
-    neoMelody: 102 // enum | 0-17 (Doorbell 1, For Elise, etc.)
+    neoMelody: 102, // enum | 0-17 (Doorbell 1, For Elise, etc.)
+    neoTemperature: 105, // integer | temperature in °C, scale 1
+    neoHumidity: 106 // integer | 0-100 (percentage)
 };
 
 // Data points for Smoke Sensor devices, version 1
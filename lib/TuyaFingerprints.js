@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * Tuya Fingerprints
+ *
+ * Most Tuya sensors report the model `TS0601` and can only be told apart by the
+ * manufacturerName from the Basic cluster (`_TZE200_ztc6ggyl`, `_TZE204_sxm7l9xa`, ...).
+ * This file maps those fingerprints to datapoint profiles for the generic TS0601 driver,
+ * built on the data points in `TuyaDataPoints.js`.
+ *
+ * How to add a device:
+ * 1. Pair it with the generic TS0601 driver (add its manufacturerName to
+ *    `drivers/tuya_ts0601/driver.compose.json`). Homey only pairs exact manufacturerNames
+ *    (there are no wildcards), so the driver also lists common TS0601 fingerprints that have
+ *    no profile here yet; these pair in discovery mode.
+ * 2. Use the recorded datapoints (device settings or `GET /discovery`) to pick or add a
+ *    profile below, and add the manufacturerName to `FINGERPRINTS`.
+ *
+ * Profile entries use the format of `TuyaSpecificClusterDevice.registerDataPoints`.
+ * Profiles only describe capabilities, device specific settings belong in a dedicated driver.
+ */
+
+const {
+    V1_TEMPHUMID_SENSOR_DATA_POINTS,
+    V1_RADAR_SENSOR_DATA_POINTS,
+    V2_RADAR_SENSOR_DATA_POINTS,
+    V1_SMOKE_DATA_POINTS,
+    V1_SOIL_SENSOR_DATA_POINTS,
+    V1_AIR_QUALITY_DATA_POINTS,
+} = require('./TuyaDataPoints');
+
+const PROFILES = {
+    temphumid_v1: {
+        name: 'Temperature/humidity sensor (v1)',
+        dataPoints: {
+            temperature: { dp: V1_TEMPHUMID_SENSOR_DATA_POINTS.currentTemperature, type: 'value', signed: true, scale: 1, capability: 'measure_temperature' },
+            humidity: { dp: V1_TEMPHUMID_SENSOR_DATA_POINTS.currentHumidity, type: 'value', scale: 1, capability: 'measure_humidity' },
+            battery: { dp: V1_TEMPHUMID_SENSOR_DATA_POINTS.batteryLevel, type: 'value', capability: 'measure_battery' },
+        },
+    },
+    radar_v1: {
+        name: 'Radar presence sensor (v1)',
+        dataPoints: {
+            presence: { dp: V1_RADAR_SENSOR_DATA_POINTS.presenceState, type: 'bool', capability: 'alarm_presence' },
+            illuminance: { dp: V1_RADAR_SENSOR_DATA_POINTS.illuminanceLux, type: 'value', capability: 'measure_luminance' },
+        },
+    },
+    radar_v2: {
+        name: 'Radar presence sensor (v2)',
+        dataPoints: {
+            presence: { dp: V2_RADAR_SENSOR_DATA_POINTS.presenceState, type: 'bool', capability: 'alarm_presence' },
+            illuminance: { dp: V2_RADAR_SENSOR_DATA_POINTS.illuminanceLux, type: 'value', capability: 'measure_luminance' },
+        },
+    },
+    smoke_v1: {
+        name: 'Smoke detector (v1)',
+        dataPoints: {
+            smoke: { dp: V1_SMOKE_DATA_POINTS.smokeAlarm, type: 'enum', capability: 'alarm_smoke', map: [true, false] },
+            tamper: { dp: V1_SMOKE_DATA_POINTS.tamperAlert, type: 'bool', capability: 'alarm_tamper' },
+            batteryLow: { dp: V1_SMOKE_DATA_POINTS.batteryState, type: 'enum', capability: 'alarm_battery', map: [true, false, false] },
+        },
+    },
+    soil_v1: {
+        name: 'Soil moisture sensor (v1)',
+        dataPoints: {
+            soilMoisture: { dp: V1_SOIL_SENSOR_DATA_POINTS.humidity, type: 'value', capability: 'measure_soil_moisture' },
+            temperature: { dp: V1_SOIL_SENSOR_DATA_POINTS.temperature, type: 'value', signed: true, scale: 1, capability: 'measure_temperature' },
+            battery: { dp: V1_SOIL_SENSOR_DATA_POINTS.batteryPercentage, type: 'value', capability: 'measure_battery' },
+        },
+    },
+    air_quality_v1: {
+        name: 'Air quality sensor (v1)',
+        dataPoints: {
+            co2: { dp: V1_AIR_QUALITY_DATA_POINTS.co2, type: 'value', capability: 'measure_co2' },
+            temperature: { dp: V1_AIR_QUALITY_DATA_POINTS.temperature, type: 'value', signed: true, scale: 1, capability: 'measure_temperature' },
+            humidity: { dp: V1_AIR_QUALITY_DATA_POINTS.humidity, type: 'value', scale: 1, capability: 'measure_humidity' },
+        },
+    },
+};
+
+// manufacturerName -> profile ID, for devices reporting model TS0601
+const FINGERPRINTS = {
+    _TZE200_bjawzodf: 'temphumid_v1',
+    _TZE200_zl1kmjqx: 'temphumid_v1',
+    _TZE200_ztc6ggyl: 'radar_v1',
+    _TZE204_ztc6ggyl: 'radar_v1',
+    _TZE200_ikvncluo: 'radar_v1',
+    _TZE204_sxm7l9xa: 'radar_v2',
+    _TZE204_e5m9c5hl: 'radar_v2',
+    _TZE200_ntcy3xu1: 'smoke_v1',
+    _TZE200_myd45weu: 'soil_v1',
+    _TZE200_ga1maeof: 'soil_v1',
+    _TZE200_8ygsuhe1: 'air_quality_v1',
+    _TZE200_yvx5lh6k: 'air_quality_v1',
+};
+
+/**
+ * Looks up the profile for a device fingerprint.
+ *
+ * @param {string} manufacturerName - manufacturerName attribute of the Basic cluster
+ * @param {string} modelId - modelId attribute of the Basic cluster
+ * @returns {Object|null} - The profile (`id`, `name` and `dataPoints`), or null when unknown
+ */
+const getFingerprintProfile = (manufacturerName, modelId) => {
+    if (modelId !== 'TS0601') return null;
+
+    const id = FINGERPRINTS[manufacturerName];
+    return id ? { id, ...PROFILES[id] } : null;
+};
+
+module.exports = {
+    PROFILES,
+    FINGERPRINTS,
+    getFingerprintProfile,
+};
@@ -19,8 +19,10 @@
 
  *    Example usage:
  *    const value = getDataValue(dpValue);
+ *    const temperature = getDataValue(dpValue, { signed: true, scale: 1 });
  *    - `dpValue` is the data point received from the device.
  *    - The function automatically determines the type and converts the value.
+ *    - `signed` reads value datapoints as two's complement, `scale` divides by 10^scale.
  *
  * 3. **Using `marshalSchedule`**:
  *    Use this function to convert a human-readable schedule string into a buffer
@@ -40,6 +42,8 @@
  *    const scheduleString = parseSchedule(receivedScheduleBytes);
  *    - `receivedScheduleBytes` is the buffer containing the schedule data.
  *    - The output will be a string in the format: '07:00/21 12:00/18'.
+ *    - `parseScheduleV2`/`marshalScheduleV2` do the same for the 6 period workdays/holidays
+ *      schedule of V2 radiator valves.
  * 
  * 5. **Using `convertMultiByteNumberPayloadToSingleDecimalNumber`**:
  *    This function converts a multi-byte number received as raw data into a single decimal value.
@@ -48,26 +52,33 @@
  * 
  *    Example usage:
  *    const decimalValue = convertMultiByteNumberPayloadToSingleDecimalNumber(dataChunks);
+ *    const signedValue = convertMultiByteNumberPayloadToSingleDecimalNumber(dataChunks, true);
  *    - `dataChunks` is the array of raw data bytes received from the device.
- *    - The function processes the array and returns a single decimal number.
+ *    - The function processes the array and returns a single decimal number, read as
+ *      two's complement when `signed` is true.
  * 
  * These utility functions help standardize how drivers handle Tuya-specific data points and 
  * schedules, allowing for cleaner and more maintainable code.
  */
 
+const hsvSpace = require('color-space/hsv');
+const rgbSpace = require('color-space/rgb');
 
 /**
  * Converts a multi-byte number payload into a single decimal number.
  * This is required for handling Tuya datapoints that send multiple-byte values.
  * 
  * @param {Array} chunks - The raw data bytes received from the Tuya device.
+ * @param {Boolean} [signed=false] - Interpret the bytes as a two's complement number.
  * @returns {Number} - The resulting decimal number.
  */
-const convertMultiByteNumberPayloadToSingleDecimalNumber = (chunks) => {
+const convertMultiByteNumberPayloadToSingleDecimalNumber = (chunks, signed = false) => {
     let value = 0;
     for (let i = 0; i < chunks.length; i++) {
-        value = value << 8;
-        value += chunks[i];
+        value = value * 256 + chunks[i];
+    }
+    if (signed && chunks.length > 0 && chunks[0] & 0x80) {
+        value -= 2 ** (8 * chunks.length);
     }
     return value;
 };
@@ -77,16 +88,19 @@ const convertMultiByteNumberPayloadToSingleDecimalNumber = (chunks) => {
  * This function handles various data types like raw, boolean, value, string, enum, and bitmap.
  * 
  * @param {Object} dpValue - The datapoint value object received from the Tuya device.
+ * @param {Object} [options]
+ * @param {Boolean} [options.signed=false] - Read value datapoints as two's complement.
+ * @param {Number} [options.scale=0] - Number of decimals the device uses for value datapoints.
  * @returns {Number|String|Boolean|Array} - The processed datapoint value based on its data type.
  */
-const getDataValue = (dpValue) => {
+const getDataValue = (dpValue, { signed = false, scale = 0 } = {}) => {
     switch (dpValue.datatype) {
         case TUYA_DATA_TYPES.raw:
             return dpValue.data;
         case TUYA_DATA_TYPES.bool:
             return dpValue.data[0] === 1;
         case TUYA_DATA_TYPES.value:
-            return convertMultiByteNumberPayloadToSingleDecimalNumber(dpValue.data);
+            return convertMultiByteNumberPayloadToSingleDecimalNumber(dpValue.data, signed) / 10 ** scale;
         case TUYA_DATA_TYPES.string:
             return String.fromCharCode(...dpValue.data);
         case TUYA_DATA_TYPES.enum:
@@ -98,6 +112,49 @@ const getDataValue = (dpValue) => {
     }
 };
 
+/**
+ * Encodes a value into the data buffer of a Tuya datapoint (DP), the inverse of `getDataValue`.
+ * 
+ * Negative values are written as 32-bit two's complement.
+ * 
+ * @param {Number} datatype - The Tuya datatype (see TUYA_DATA_TYPES).
+ * @param {Number|String|Boolean|Buffer} value - The value to encode.
+ * @param {Object} [options]
+ * @param {Number} [options.scale=0] - Number of decimals the device uses for value datapoints.
+ * @param {Number} [options.length] - Size of a bitmap in bytes (1, 2 or 4), defaults to the smallest that fits.
+ * @returns {Buffer} - The encoded datapoint data.
+ */
+const getDataBuffer = (datatype, value, { scale = 0, length } = {}) => {
+    switch (datatype) {
+        case TUYA_DATA_TYPES.raw:
+            return Buffer.from(value);
+        case TUYA_DATA_TYPES.bool:
+            return Buffer.from([value ? 0x01 : 0x00]);
+        case TUYA_DATA_TYPES.value: {
+            const number = Math.round(value * 10 ** scale);
+            const data = Buffer.alloc(4);
+            if (number < 0) {
+                data.writeInt32BE(number, 0);
+            } else {
+                data.writeUInt32BE(number, 0);
+            }
+            return data;
+        }
+        case TUYA_DATA_TYPES.string:
+            return Buffer.from(String(value), 'latin1');
+        case TUYA_DATA_TYPES.enum:
+            return Buffer.from([value]);
+        case TUYA_DATA_TYPES.bitmap: {
+            const size = length || (value > 0xFFFF ? 4 : value > 0xFF ? 2 : 1);
+            const data = Buffer.alloc(size);
+            data.writeUIntBE(value, 0, size);
+            return data;
+        }
+        default:
+            throw new Error(`Unsupported datatype: ${datatype}`);
+    }
+};
+
 /**
  * TUYA_DATA_TYPES defines the possible data types a Tuya datapoint (DP) can use.
  * This is used to interpret the received data from Tuya devices and process it accordingly.
@@ -125,10 +182,97 @@ const dataPointTodayByte = {
     111: 64  // Sunday
 };
 
+/**
+ * Parses and validates a human-readable schedule ('HH:MM/temperature' periods separated by
+ * spaces) against the limits of a schedule format.
+ * 
+ * @param {String} scheduleString - The human-readable schedule (e.g., '06:00/21 22:00/17').
+ * @param {Object} limits - Limits of the schedule format.
+ * @param {Number} limits.minPeriods - Minimum number of periods.
+ * @param {Number} limits.maxPeriods - Maximum number of periods.
+ * @param {Number} limits.maxMinutes - Latest time of a period, in minutes since midnight.
+ * @param {Number} [limits.minuteStep=1] - Resolution of the period times in minutes.
+ * @param {Number} limits.minTemperature - Lowest temperature (°C).
+ * @param {Number} limits.maxTemperature - Highest temperature (°C).
+ * @param {Number} limits.temperatureStep - Resolution of the temperatures (°C).
+ * @returns {Array<Object>} - One `{ hours, minutes, temperature }` per period.
+ */
+const parseSchedulePeriods = (scheduleString, limits) => {
+    const { minPeriods, maxPeriods, maxMinutes, minuteStep = 1, minTemperature, maxTemperature, temperatureStep } = limits;
+    const periods = String(scheduleString).trim().split(/\s+/).filter(Boolean);
+
+    if (periods.length < minPeriods || periods.length > maxPeriods) {
+        throw new Error(minPeriods === maxPeriods
+            ? `Invalid schedule: it must have ${minPeriods} periods.`
+            : `Invalid schedule: it must have between ${minPeriods} and ${maxPeriods} periods.`);
+    }
+
+    let previous = -1;
+    return periods.map((period) => {
+        const match = /^(\d{1,2}):(\d{2})\/(\d+(?:\.\d+)?)$/.exec(period);
+        if (!match) {
+            throw new Error(`Invalid period entry: ${period} (expected HH:MM/temperature).`);
+        }
+        const hours = Number(match[1]);
+        const minutes = Number(match[2]);
+        const temperature = Number(match[3]);
+        const time = hours * 60 + minutes;
+
+        if (minutes > 59 || time > maxMinutes || minutes % minuteStep !== 0) {
+            throw new Error(`Invalid period entry: ${period} (times up to ${formatScheduleTime(maxMinutes)} in steps of ${minuteStep} minutes).`);
+        }
+        if (temperature < minTemperature || temperature > maxTemperature || temperature % temperatureStep !== 0) {
+            throw new Error(`Invalid period entry: ${period} (${minTemperature}-${maxTemperature} °C in steps of ${temperatureStep} °C).`);
+        }
+        if (time <= previous) {
+            throw new Error(`Invalid time sequence: ${period} must be later than the previous period.`);
+        }
+        previous = time;
+
+        return { hours, minutes, temperature };
+    });
+};
+
+/**
+ * Formats minutes since midnight as HH:MM.
+ * 
+ * @param {Number} time - Minutes since midnight.
+ * @returns {String} - The time (e.g., 390 -> '06:30').
+ */
+const formatScheduleTime = (time) => {
+    const hours = Math.floor(time / 60);
+    const minutes = time % 60;
+    return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+};
+
+// Limits of the V1 thermostat schedule: up to 10 periods per day, each one ending at its time,
+// in 10-minute steps and 0.5 °C steps.
+const V1_SCHEDULE_LIMITS = {
+    minPeriods: 2,
+    maxPeriods: 10,
+    maxMinutes: 24 * 60,
+    minuteStep: 10,
+    minTemperature: 5,
+    maxTemperature: 30,
+    temperatureStep: 0.5
+};
+
+// Limits of the V2 radiator valve schedule: 6 periods per day, each one starting at its time,
+// in whole °C.
+const V2_SCHEDULE_LIMITS = {
+    minPeriods: 6,
+    maxPeriods: 6,
+    maxMinutes: 23 * 60 + 59,
+    minTemperature: 5,
+    maxTemperature: 35,
+    temperatureStep: 1
+};
+
 /**
  * Parses a schedule byte array into a human-readable format.
  * This is useful for devices that use schedules, like thermostats, 
  * where each time period in the day is represented by a 3-byte segment.
+ * A leading day byte (the 31 byte payload built by `marshalSchedule`) is skipped.
  * 
  * @param {Array} bytes - The byte array containing the schedule data.
  * @returns {String} - A string representation of the schedule (e.g., '08:30/22.5 12:00/18').
@@ -136,20 +280,21 @@ const dataPointTodayByte = {
 const parseSchedule = (bytes) => {
     const maxPeriodsInDay = 10;  // The maximum number of periods a Tuya device can handle.
     const periodSize = 3;        // Each period consists of 3 bytes (time and temperature).
+    const offset = bytes.length === maxPeriodsInDay * periodSize + 1 ? 1 : 0;
     const schedule = [];
 
     for (let i = 0; i < maxPeriodsInDay; i++) {
-        const time = bytes[i * periodSize];
-        const totalMinutes = time * 10;
-        const hours = Math.floor(totalMinutes / 60);
-        const minutes = totalMinutes % 60;
-        const temperature = (bytes[i * periodSize + 1] << 8 | bytes[i * periodSize + 2]) / 10;
+        const start = offset + i * periodSize;
+        if (start + periodSize > bytes.length) break;
+
+        const time = bytes[start] * 10;
+        const temperature = (bytes[start + 1] << 8 | bytes[start + 2]) / 10;
         
         // Format the time as HH:MM and pair it with the temperature.
-        schedule.push(`${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}/${temperature}`);
+        schedule.push(`${formatScheduleTime(time)}/${temperature}`);
         
         // Stop if the period covers 24 hours.
-        if (hours === 24) break;
+        if (time >= 24 * 60) break;
     }
 
     return schedule.join(' ');
@@ -166,13 +311,9 @@ const parseSchedule = (bytes) => {
  */
 const marshalSchedule = (workingDay, weekDayDataPoint, scheduleString) => {
     const payload = [];
-    const schedule = scheduleString.split(' ');
-    
-    if (schedule.length < 2 || schedule.length > 10) {
-        throw new Error('Invalid schedule: it must have between 2 and 10 periods.');
-    }
+    const schedule = parseSchedulePeriods(scheduleString, V1_SCHEDULE_LIMITS);
 
-    switch (workingDay) {
+    switch (String(workingDay)) {
         case "0": // Mon-Sun
             payload.push(127);
             break;
@@ -186,25 +327,9 @@ const marshalSchedule = (workingDay, weekDayDataPoint, scheduleString) => {
             throw new Error('Invalid workingDay setting: must be 0, 1, or 2.');
     }
 
-    // Parsing the schedule string
-    let prevHour = 0;
-
-    schedule.forEach((period) => {
-        const [time, temperature] = period.split('/');
-        const [hours, minutes] = time.split(':').map(Number);
-        const temp = parseFloat(temperature);
-
-        if (hours < 0 || hours > 24 || minutes % 10 !== 0 || temp < 5 || temp > 30 || temp % 0.5 !== 0) {
-            throw new Error(`Invalid period entry: ${period}`);
-        }
-
-        if (prevHour > hours) {
-            throw new Error(`Invalid time sequence: the hour of the next segment can't be less than the previous one.`);
-        }
-        prevHour = hours;
-
+    schedule.forEach(({ hours, minutes, temperature }) => {
         const segment = (hours * 60 + minutes) / 10;
-        const tempHexArray = convertDecimalValueTo2ByteHexArray(temp * 10);
+        const tempHexArray = convertDecimalValueTo2ByteHexArray(temperature * 10);
         payload.push(segment, ...tempHexArray);
     });
 
@@ -216,6 +341,154 @@ const marshalSchedule = (workingDay, weekDayDataPoint, scheduleString) => {
     return Buffer.from(payload);
 };
 
+/**
+ * Parses a V2 radiator valve schedule (workdays/holidays datapoint) into a human-readable
+ * format. Each of the 6 periods is 3 bytes: hour, minute and temperature in °C.
+ * 
+ * @param {Array} bytes - The byte array containing the schedule data.
+ * @returns {String} - A string representation of the schedule (e.g., '06:00/21 08:00/17').
+ */
+const parseScheduleV2 = (bytes) => {
+    const schedule = [];
+    for (let i = 0; i + 3 <= bytes.length && schedule.length < V2_SCHEDULE_LIMITS.maxPeriods; i += 3) {
+        // The top bits of the hour byte are flags on some devices
+        const hours = bytes[i] & 0x3F;
+        schedule.push(`${formatScheduleTime(hours * 60 + bytes[i + 1])}/${bytes[i + 2]}`);
+    }
+    return schedule.join(' ');
+};
+
+/**
+ * Marshals a schedule into the V2 radiator valve format, see `parseScheduleV2`.
+ * 
+ * @param {String} scheduleString - The human-readable schedule with 6 periods.
+ * @returns {Buffer} - The marshaled schedule ready to be sent to the device.
+ */
+const marshalScheduleV2 = (scheduleString) => {
+    const schedule = parseSchedulePeriods(scheduleString, V2_SCHEDULE_LIMITS);
+    return Buffer.from(schedule.flatMap(({ hours, minutes, temperature }) => [hours, minutes, temperature]));
+};
+
+/**
+ * Parses the inching (momentary) datapoint of V2 multi-switches: a base64 string with 3 bytes
+ * per gang, an enable flag and the pulse time in seconds (big-endian).
+ * 
+ * @param {String} value - The datapoint value.
+ * @returns {Array<Number>} - The pulse time of every gang in seconds, 0 when inching is off.
+ */
+const parseInching = (value) => {
+    const bytes = Buffer.from(value, 'base64');
+    const gangs = [];
+    for (let i = 0; i + 3 <= bytes.length; i += 3) {
+        gangs.push(bytes[i] ? bytes.readUInt16BE(i + 1) : 0);
+    }
+    return gangs;
+};
+
+/**
+ * Marshals the inching times of all gangs into the V2 multi-switch format, see `parseInching`.
+ * 
+ * @param {Array<Number>} gangs - The pulse time of every gang in seconds, 0 turns inching off.
+ * @returns {String} - The datapoint value.
+ */
+const marshalInching = (gangs) => {
+    const bytes = Buffer.alloc(gangs.length * 3);
+    gangs.forEach((seconds, index) => {
+        if (!Number.isInteger(seconds) || seconds < 0 || seconds > 0xFFFF) {
+            throw new Error(`Invalid inching time: ${seconds} (expected 0-65535 seconds).`);
+        }
+        bytes[index * 3] = seconds > 0 ? 1 : 0;
+        bytes.writeUInt16BE(seconds, index * 3 + 1);
+    });
+    return bytes.toString('base64');
+};
+
+// Change modes of a light scene unit (DP 25)
+const SCENE_MODES = ['static', 'jump', 'gradient'];
+
+// Fixed-width hex field of a Tuya colour or scene string
+const toHexField = (number, length) => Math.round(number).toString(16).padStart(length, '0');
+
+/**
+ * Parses the colour datapoint of Tuya lights. V2 lights use 12 hex characters `hhhhssssvvvv`
+ * (hue 0-360, saturation and value 0-1000), V1 lights 14 characters `rrggbbhhhhssvv`
+ * (the RGB colour followed by hue 0-360, saturation and value 0-255).
+ * 
+ * @param {String} value - The datapoint value.
+ * @returns {{hue: Number, saturation: Number, value: Number}} - The colour, range 0 - 1.
+ */
+const parseHsvColor = (value) => {
+    const field = (start, end) => parseInt(value.slice(start, end), 16);
+    if (/^[0-9a-f]{12}$/i.test(value)) {
+        return { hue: field(0, 4) / 360, saturation: field(4, 8) / 1000, value: field(8, 12) / 1000 };
+    }
+    if (/^[0-9a-f]{14}$/i.test(value)) {
+        return { hue: field(6, 10) / 360, saturation: field(10, 12) / 255, value: field(12, 14) / 255 };
+    }
+    throw new Error(`Invalid colour: ${value}`);
+};
+
+/**
+ * Marshals a colour into the colour datapoint format of V1 or V2 lights, see `parseHsvColor`.
+ * 
+ * @param {{hue: Number, saturation: Number, value: Number}} color - The colour, range 0 - 1.
+ * @param {String} [format='v2'] - 'v1' or 'v2'.
+ * @returns {String} - The datapoint value.
+ */
+const marshalHsvColor = ({ hue, saturation, value }, format = 'v2') => {
+    if (format === 'v2') {
+        return toHexField(hue * 360, 4) + toHexField(saturation * 1000, 4) + toHexField(value * 1000, 4);
+    }
+    const rgb = hsvSpace.rgb([hue * 360, saturation * 100, value * 100]);
+    return rgb.map(channel => toHexField(channel, 2)).join('')
+        + toHexField(hue * 360, 4) + toHexField(saturation * 255, 2) + toHexField(value * 255, 2);
+};
+
+/**
+ * Converts a `#rrggbb` colour, as used in Flow cards, into HSV.
+ * 
+ * @param {String} hex - The colour, with or without '#'.
+ * @returns {{hue: Number, saturation: Number, value: Number}} - The colour, range 0 - 1.
+ */
+const parseHexColor = (hex) => {
+    const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(String(hex).trim());
+    if (!match) {
+        throw new Error(`Invalid colour: ${hex} (expected #rrggbb).`);
+    }
+    const [hue, saturation, value] = rgbSpace.hsv(match.slice(1).map(channel => parseInt(channel, 16)));
+    return { hue: hue / 360, saturation: saturation / 100, value: value / 100 };
+};
+
+/**
+ * Marshals a scene into the scene datapoint (DP 25) of V2 lights: the scene number followed by
+ * one 13 byte unit per colour, with the switching interval and change time (both the speed),
+ * the change mode, the colour as HSV (0-360, 0-1000, 0-1000) and the white brightness and
+ * colour temperature (unused in colour units), all as hex.
+ * 
+ * @param {Object} scene
+ * @param {Number} [scene.scene=0] - The scene number (0-255).
+ * @param {String} scene.mode - The change mode: 'static', 'jump' or 'gradient'.
+ * @param {Number} scene.speed - The speed (1-100).
+ * @param {Array<Object>} scene.colors - 1 to 8 colours, range 0 - 1, see `parseHsvColor`.
+ * @returns {String} - The datapoint value.
+ */
+const marshalScene = ({ scene = 0, mode, speed, colors }) => {
+    if (!SCENE_MODES.includes(mode)) {
+        throw new Error(`Invalid scene mode: ${mode} (expected ${SCENE_MODES.join(', ')}).`);
+    }
+    if (!Number.isInteger(speed) || speed < 1 || speed > 100) {
+        throw new Error(`Invalid scene speed: ${speed} (expected 1-100).`);
+    }
+    if (colors.length < 1 || colors.length > 8) {
+        throw new Error(`Invalid number of scene colours: ${colors.length} (expected 1-8).`);
+    }
+    const units = colors.map(({ hue, saturation, value }) => toHexField(speed, 2) + toHexField(speed, 2)
+        + toHexField(SCENE_MODES.indexOf(mode), 2)
+        + toHexField(hue * 360, 4) + toHexField(saturation * 1000, 4) + toHexField(value * 1000, 4)
+        + '0000' + '0000');
+    return toHexField(scene, 2) + units.join('');
+};
+
 /**
  * Converts a decimal temperature value into a 2-byte hex array.
  * This is used to format temperature values before sending them to Tuya devices.
@@ -230,6 +503,129 @@ function convertDecimalValueTo2ByteHexArray(value) {
     return [parseInt(chunk1, 16), parseInt(chunk2, 16)];
 }
 
+/**
+ * Returns the offset of a timezone to UTC in seconds at the given moment, taking
+ * daylight saving time into account.
+ * 
+ * @param {String} timeZone - IANA timezone name (e.g. 'Europe/Amsterdam')
+ * @param {Date} [date] - The moment to calculate the offset for
+ * @returns {Number} - Offset in seconds (positive east of UTC)
+ */
+function getTimezoneOffset(timeZone, date = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+    }).formatToParts(date).reduce((result, { type, value }) => {
+        result[type] = Number(value);
+        return result;
+    }, {});
+
+    const localAsUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((localAsUTC - Math.floor(date.getTime() / 1000) * 1000) / 1000);
+}
+
+/**
+ * Builds the payload of the Tuya MCU time sync answer (command 0x24):
+ * UTC time and local time, both as 4 byte big-endian seconds since 1970.
+ * 
+ * @param {String} timeZone - IANA timezone name (e.g. 'Europe/Amsterdam')
+ * @param {Date} [date] - The time to send
+ * @returns {Buffer} - The 8 byte payload
+ */
+function getTimeSyncPayload(timeZone, date = new Date()) {
+    const utcTime = Math.floor(date.getTime() / 1000);
+    const localTime = utcTime + getTimezoneOffset(timeZone, date);
+
+    const payload = Buffer.alloc(8);
+    payload.writeUInt32BE(utcTime, 0);
+    payload.writeUInt32BE(localTime, 4);
+    return payload;
+}
+
+/**
+ * Formats a Tuya version byte (MCU version response, Basic cluster appVersion):
+ * 2 bits major, 2 bits minor and 4 bits patch.
+ * 
+ * @param {Number} version - The version byte
+ * @returns {String} - Version string (e.g. 0x48 -> '1.0.8')
+ */
+function getTuyaVersion(version) {
+    return `${(version & 0xC0) >> 6}.${(version & 0x30) >> 4}.${version & 0x0F}`;
+}
+
+/**
+ * Encodes a version string as a Tuya version byte, the inverse of `getTuyaVersion`.
+ * 
+ * @param {String} version - Version string (e.g. '1.0.8')
+ * @returns {Number} - The version byte (e.g. '1.0.8' -> 0x48)
+ */
+function getTuyaVersionByte(version) {
+    const match = /^(\d+)\.(\d+)\.(\d+)$/.exec(String(version).trim());
+    if (!match || match[1] > 3 || match[2] > 3 || match[3] > 15) {
+        throw new Error(`Invalid Tuya version: ${version} (expected 0-3.0-3.0-15)`);
+    }
+    return (match[1] << 6) | (match[2] << 4) | Number(match[3]);
+}
+
+// CRC-32 (IEEE 802.3) lookup table
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * Calculates the CRC-32 checksum of a buffer, as sent with an MCU OTA notification.
+ * 
+ * @param {Buffer} buffer - The data
+ * @returns {Number} - Unsigned 32 bit checksum
+ */
+function getCrc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+        crc = CRC32_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Checks a version string against a condition like '>=1.0.2', '<1.0.2' or '1.0.2'.
+ * 
+ * @param {String} version - Version string (e.g. '1.0.8')
+ * @param {String} condition - Operator (>=, <=, >, <, =) followed by a version
+ * @returns {Boolean} - True when the version satisfies the condition
+ */
+function matchesVersion(version, condition) {
+    const match = /^(>=|<=|>|<|=)?\s*(\d+(?:\.\d+)*)$/.exec(condition.trim());
+    if (!match) {
+        throw new Error(`Invalid version condition: ${condition}`);
+    }
+    const [, operator = '=', expected] = match;
+
+    const a = version.split('.').map(Number);
+    const b = expected.split('.').map(Number);
+    let compare = 0;
+    for (let i = 0; i < Math.max(a.length, b.length) && compare === 0; i++) {
+        compare = Math.sign((a[i] || 0) - (b[i] || 0));
+    }
+
+    switch (operator) {
+        case '>=': return compare >= 0;
+        case '<=': return compare <= 0;
+        case '>': return compare > 0;
+        case '<': return compare < 0;
+        default: return compare === 0;
+    }
+}
+
 /**
  * Sets the minimum brightness level for the specified gang.
  * 
@@ -291,10 +687,27 @@ async function setSwitchType(device, value) {
 
 // Export the helper functions for reuse in Tuya drivers
 module.exports = {
+    TUYA_DATA_TYPES,
     getDataValue,
+    getDataBuffer,
     parseSchedule,
     marshalSchedule,
+    parseScheduleV2,
+    marshalScheduleV2,
+    parseSchedulePeriods,
+    parseInching,
+    marshalInching,
+    parseHsvColor,
+    marshalHsvColor,
+    parseHexColor,
+    marshalScene,
     convertMultiByteNumberPayloadToSingleDecimalNumber,
+    getTimezoneOffset,
+    getTimeSyncPayload,
+    getTuyaVersion,
+    getTuyaVersionByte,
+    matchesVersion,
+    getCrc32,
     setMinimumBrightness,
     setMaximumBrightness,
     setTypeOfLightSource,
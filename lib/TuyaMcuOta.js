@@ -0,0 +1,299 @@
+'use strict';
+
+const fs = require('fs');
+const { getCrc32, getTuyaVersion, getTuyaVersionByte } = require('./TuyaHelpers');
+
+// Device store key of the update session, it survives app restarts and sleep periods
+const STORE_KEY = 'mcuOta';
+
+// Statuses of a session that is still running
+const ACTIVE_STATUSES = ['waiting', 'transferring'];
+
+/**
+ * TuyaMcuOta
+ *
+ * Firmware update of the serial MCU behind a Tuya Zigbee module, through the MCU OTA commands
+ * of the tuya cluster (0xEF00). The standard Zigbee OTA cluster only updates the module itself.
+ *
+ * Protocol flow:
+ * 1. Hub sends `mcuOtaNotify` with the product key, image version, size and CRC-32
+ * 2. Device requests the image block by block with `mcuOtaBlockDataRequest`
+ * 3. Hub answers every request with `mcuOtaBlockData`
+ * 4. Device verifies and installs the image, then sends `mcuOtaResult`
+ *
+ * The device drives the transfer, so a sleepy device continues where it stopped in its next
+ * wake window. The session (image file, version, key, progress) is kept in the device store;
+ * while the device has not requested a block yet the notification is sent again whenever it
+ * wakes up. Progress is shown in the `tuya_ota_progress` capability and reported with the
+ * `tuya_ota_progress` Flow trigger, with status `waiting`, `transferring`, `completed`,
+ * `failed` or `cancelled`.
+ *
+ * Created by TuyaSpecificClusterDevice, use its `startMcuOta`, `cancelMcuOta` and
+ * `getMcuOtaStatus` methods.
+ */
+class TuyaMcuOta {
+
+    // Progress step (%) between two Flow triggers, status changes always trigger
+    triggerStep = 10;
+
+    // Minimum time (ms) between two delivered notifications while waiting for the device
+    notifyInterval = 30000;
+
+    /**
+     * @param {TuyaSpecificClusterDevice} device - The device that is updated
+     */
+    constructor(device) {
+        this.device = device;
+        this._session = device.getStoreValue(STORE_KEY) || null;
+        this._image = null;
+        this._lastNotify = 0;
+    }
+
+    /**
+     * Returns the current or last update session.
+     *
+     * @returns {Object|null} - `{ file, version, size, progress, status, started }`, or null
+     */
+    getStatus() {
+        if (!this._session) return null;
+        const { file, version, size, progress, status, started } = this._session;
+        return { file, version: getTuyaVersion(version), size, progress, status, started };
+    }
+
+    /**
+     * Returns true while an update is running.
+     *
+     * @returns {boolean}
+     */
+    isActive() {
+        return Boolean(this._session) && ACTIVE_STATUSES.includes(this._session.status);
+    }
+
+    /**
+     * Starts an update with a local image file and notifies the device. Sleepy devices are
+     * notified when they wake up.
+     *
+     * @param {string} file - Path of the firmware image
+     * @param {string} version - Version of the image, e.g. '1.0.8'
+     * @returns {Promise} - Resolves when the session is started
+     */
+    async start(file, version) {
+        if (this.isActive()) {
+            throw new Error('An MCU firmware update is already in progress');
+        }
+
+        const image = await fs.promises.readFile(file);
+        if (image.length === 0) {
+            throw new Error(`Firmware image ${file} is empty`);
+        }
+
+        this._image = image;
+        this._session = {
+            file,
+            version: getTuyaVersionByte(version),
+            ...this.getProductKey(),
+            size: image.length,
+            crc: getCrc32(image),
+            progress: 0,
+            status: null,
+            started: Date.now(),
+        };
+        this.device.log(`MCU update to ${version} started, ${image.length} bytes from ${file}`);
+
+        if (!this.device.hasCapability('tuya_ota_progress')) {
+            await this.device.addCapability('tuya_ota_progress').catch(this.device.error);
+        }
+        await this.update('waiting', 0);
+
+        await this.notify().catch(err => {
+            this.device.log('MCU update notification not answered, retrying when the device wakes up:', err.message);
+        });
+    }
+
+    /**
+     * Cancels the running update, further block requests of the device are refused.
+     *
+     * @returns {Promise}
+     */
+    async cancel() {
+        if (!this.isActive()) return;
+
+        this.device.log('MCU update cancelled');
+        this._image = null;
+        await this.update('cancelled', this._session.progress);
+    }
+
+    /**
+     * Sends the update notification again when the device is awake and has not started the
+     * transfer yet. Called by the device on every frame and announcement it receives.
+     *
+     * @returns {Promise}
+     */
+    async resume() {
+        if (!this._session || this._session.status !== 'waiting') return;
+        if (Date.now() - this._lastNotify < this.notifyInterval) return;
+
+        await this.notify();
+    }
+
+    /**
+     * Sends `mcuOtaNotify` for the current session.
+     *
+     * @returns {Promise}
+     */
+    async notify() {
+        const { keyHi, keyLo, version, size, crc } = this._session;
+        const seq = this.device.transactionID;
+        this.device.transactionID = seq + 1;
+
+        this.device.log(`[Tuya TX] MCU OTA notify seq=${seq} version=${getTuyaVersion(version)} size=${size}`);
+        await this.device.getTuyaCluster().mcuOtaNotify({
+            seq,
+            keyHi,
+            keyLo,
+            version,
+            imageSize: size,
+            crc
+        });
+        this._lastNotify = Date.now();
+    }
+
+    /**
+     * Answers a block request of the device with the requested part of the image. Requests
+     * that do not match the running session are refused with status 0x01.
+     *
+     * @param {Object} request - `{ seq, keyHi, keyLo, version, offset, size }`
+     * @param {number} [endpoint] - Endpoint the request was received on
+     * @returns {Promise}
+     */
+    async onBlockDataRequest({ seq, keyHi, keyLo, version, offset, size }, endpoint) {
+        const session = this._session;
+        const tuyaCluster = this.device.getTuyaCluster(endpoint);
+        const refuse = reason => {
+            this.device.log(`MCU OTA block request at ${offset} refused: ${reason}`);
+            return tuyaCluster.mcuOtaBlockData({
+                seq,
+                status: 1,
+                keyHi,
+                keyLo,
+                version,
+                offset,
+                imageData: Buffer.alloc(0)
+            });
+        };
+
+        if (!this.isActive()) return refuse('no update in progress');
+        if (keyHi !== session.keyHi || keyLo !== session.keyLo || version !== session.version) {
+            return refuse('the request does not match the image');
+        }
+
+        let image;
+        try {
+            image = await this.getImage();
+        } catch (err) {
+            this.device.error('MCU update failed, image not available:', err.message);
+            await this.update('failed', session.progress);
+            return refuse(err.message);
+        }
+        if (offset >= image.length) return refuse('offset beyond the end of the image');
+
+        const imageData = image.slice(offset, offset + size);
+        await tuyaCluster.mcuOtaBlockData({
+            seq,
+            status: 0,
+            keyHi,
+            keyLo,
+            version,
+            offset,
+            imageData
+        });
+
+        // 100% is reported when the device confirms the update
+        const progress = Math.min(99, Math.floor((offset + imageData.length) * 100 / image.length));
+        await this.update('transferring', Math.max(progress, session.progress));
+    }
+
+    /**
+     * Completes the session with the result reported by the device.
+     *
+     * @param {Object} result - `{ seq, status, keyHi, keyLo, version }`
+     * @returns {Promise}
+     */
+    async onResult({ status }) {
+        if (!this.isActive()) return;
+
+        this._image = null;
+        if (status !== 0) {
+            this.device.error(`MCU update failed, status ${status}`);
+            await this.update('failed', this._session.progress);
+            return;
+        }
+
+        this.device.log('MCU update completed');
+        await this.update('completed', 100);
+        this.device.requestFirmwareVersions().catch(err => this.device.log('Could not request firmware versions:', err.message));
+    }
+
+    /**
+     * Returns the product key of the device: the 8 characters after the last underscore of
+     * the manufacturer name (e.g. `_TZE200_wqashyqo`), as two big-endian ASCII halves.
+     *
+     * @returns {{ keyHi: number, keyLo: number }}
+     */
+    getProductKey() {
+        const manufacturerName = this.device.getSetting('zb_manufacturer_name');
+        const match = /_([A-Za-z0-9]{8})$/.exec(manufacturerName || '');
+        if (!match) {
+            throw new Error(`No Tuya product key in manufacturer name "${manufacturerName}"`);
+        }
+        const key = Buffer.from(match[1], 'ascii');
+        return { keyHi: key.readUInt32BE(0), keyLo: key.readUInt32BE(4) };
+    }
+
+    /**
+     * Returns the image of the session, read again from its file after an app restart.
+     *
+     * @returns {Promise<Buffer>}
+     */
+    async getImage() {
+        if (this._image) return this._image;
+
+        const image = await fs.promises.readFile(this._session.file);
+        if (getCrc32(image) !== this._session.crc) {
+            throw new Error(`Firmware image ${this._session.file} changed during the update`);
+        }
+        this._image = image;
+        return image;
+    }
+
+    /**
+     * Updates the status and progress of the session. The session is saved, the capability
+     * updated and the Flow card triggered when the status changes or the progress passes a
+     * `triggerStep`.
+     *
+     * @param {string} status - Session status
+     * @param {number} progress - Progress (%)
+     * @returns {Promise}
+     */
+    async update(status, progress) {
+        const session = this._session;
+        const statusChanged = status !== session.status;
+        const stepPassed = Math.floor(progress / this.triggerStep) !== Math.floor(session.progress / this.triggerStep);
+        if (!statusChanged && progress === session.progress) return;
+
+        session.status = status;
+        session.progress = progress;
+        await this.device.setStoreValue(STORE_KEY, session).catch(this.device.error);
+        if (this.device.hasCapability('tuya_ota_progress')) {
+            await this.device.setCapabilityValue('tuya_ota_progress', progress).catch(this.device.error);
+        }
+
+        if (statusChanged || stepPassed) {
+            await this.device.homey.flow.getDeviceTriggerCard('tuya_ota_progress')
+                .trigger(this.device, { progress, status }, {})
+                .catch(this.device.error);
+        }
+    }
+}
+
+module.exports = TuyaMcuOta;
@@ -4,8 +4,11 @@
  * TuyaSpecificCluster
  * 
  * This class defines the Tuya-specific Zigbee cluster and its associated commands.
- * It includes the following commands: `datapoint`, `reporting`, `response`, 
- * and `reportingConfiguration`. These commands facilitate communication between
+ * It includes the following commands: `datapoint`, `reporting`, `response`, `dataQuery`,
+ * `reportingConfiguration`, the `mcuSyncTimeRequest`/`mcuSyncTime` time sync pair, the
+ * `mcuVersionRequest`/`mcuVersionResponse` firmware version query, the MCU OTA update
+ * commands (`mcuOtaNotify`, `mcuOtaBlockDataRequest`, `mcuOtaBlockData`, `mcuOtaResult`) and the
+ * `mcuGatewayConnectionStatusRequest`/`mcuGatewayConnectionStatus` pair. These commands facilitate communication between
  * Zigbee devices using the Tuya protocol.
  * 
  * Usage:
@@ -79,6 +82,163 @@ const COMMANDS = {
         }
     },
     
+    /**
+     * Asks the device to report the current value of all its datapoints, answered with
+     * `reporting` frames.
+     */
+    dataQuery: {
+        id: 0x03, // Command ID
+        args: {}
+    },
+
+    /**
+     * Time synchronisation request from the device's MCU.
+     * 
+     * Devices with a clock (thermostats, displays, TRVs) send this after joining and
+     * periodically afterwards; they keep showing a wrong time until the gateway answers
+     * with `mcuSyncTime`.
+     */
+    mcuSyncTimeRequest: {
+        id: 0x24, // Command ID
+        direction: Cluster.DIRECTION_SERVER_TO_CLIENT,
+        args: {
+            payloadSize: ZCLDataTypes.uint16  // Sequence number set by the device
+        }
+    },
+
+    /**
+     * Time synchronisation answer sent to the device's MCU.
+     * 
+     * The payload holds the UTC time followed by the local time, both as 4 byte
+     * big-endian seconds since the Unix epoch.
+     */
+    mcuSyncTime: {
+        id: 0x24, // Command ID
+        direction: Cluster.DIRECTION_CLIENT_TO_SERVER,
+        args: {
+            payloadSize: ZCLDataTypes.uint16, // Length of the payload (8)
+            payload: ZCLDataTypes.buffer      // UTC time (4) + local time (4)
+        }
+    },
+
+    /**
+     * Asks the device's MCU for its firmware version, answered with `mcuVersionResponse`.
+     */
+    mcuVersionRequest: {
+        id: 0x10, // Command ID
+        args: {
+            seq: ZCLDataTypes.uint16          // Sequence number
+        }
+    },
+
+    /**
+     * Firmware version of the device's MCU. Some devices also send this unasked after joining.
+     * 
+     * The version byte holds 2 bits major, 2 bits minor and 4 bits patch (see `getTuyaVersion`).
+     */
+    mcuVersionResponse: {
+        id: 0x11, // Command ID
+        args: {
+            seq: ZCLDataTypes.uint16,         // Sequence number
+            version: ZCLDataTypes.uint8       // MCU version
+        }
+    },
+
+    /**
+     * Announces a firmware image for the device's MCU. A device that accepts it requests the
+     * image in blocks with `mcuOtaBlockDataRequest` and finishes with `mcuOtaResult`.
+     * 
+     * The key is the 8 character Tuya product ID, as two big-endian ASCII halves.
+     */
+    mcuOtaNotify: {
+        id: 0x12, // Command ID
+        args: {
+            seq: ZCLDataTypes.uint16,         // Sequence number
+            keyHi: ZCLDataTypes.uint32,       // Product ID, characters 1-4
+            keyLo: ZCLDataTypes.uint32,       // Product ID, characters 5-8
+            version: ZCLDataTypes.uint8,      // Version of the image
+            imageSize: ZCLDataTypes.uint32,   // Size of the image in bytes
+            crc: ZCLDataTypes.uint32          // CRC-32 of the image
+        }
+    },
+
+    /**
+     * Request from the device's MCU for a block of the announced image.
+     */
+    mcuOtaBlockDataRequest: {
+        id: 0x13, // Command ID
+        args: {
+            seq: ZCLDataTypes.uint16,         // Sequence number
+            keyHi: ZCLDataTypes.uint32,       // Product ID, characters 1-4
+            keyLo: ZCLDataTypes.uint32,       // Product ID, characters 5-8
+            version: ZCLDataTypes.uint8,      // Version of the image
+            offset: ZCLDataTypes.uint32,      // Offset of the block in the image
+            size: ZCLDataTypes.uint32         // Requested block size
+        }
+    },
+
+    /**
+     * Block of the image sent to the device's MCU, answering `mcuOtaBlockDataRequest`.
+     * 
+     * Status 0x00: success, 0x01: the block is not available.
+     */
+    mcuOtaBlockData: {
+        id: 0x14, // Command ID
+        args: {
+            seq: ZCLDataTypes.uint16,         // Sequence number of the request
+            status: ZCLDataTypes.uint8,       // Status byte
+            keyHi: ZCLDataTypes.uint32,       // Product ID, characters 1-4
+            keyLo: ZCLDataTypes.uint32,       // Product ID, characters 5-8
+            version: ZCLDataTypes.uint8,      // Version of the image
+            offset: ZCLDataTypes.uint32,      // Offset of the block in the image
+            imageData: ZCLDataTypes.buffer    // Block data
+        }
+    },
+
+    /**
+     * Result of an MCU update, sent by the device after the last block.
+     * 
+     * Status 0x00: the image was verified and installed, any other value: the update failed.
+     */
+    mcuOtaResult: {
+        id: 0x15, // Command ID
+        args: {
+            seq: ZCLDataTypes.uint16,         // Sequence number
+            status: ZCLDataTypes.uint8,       // Status byte
+            keyHi: ZCLDataTypes.uint32,       // Product ID, characters 1-4
+            keyLo: ZCLDataTypes.uint32,       // Product ID, characters 5-8
+            version: ZCLDataTypes.uint8       // Version of the image
+        }
+    },
+
+    /**
+     * Gateway status request from the device's MCU.
+     * 
+     * The module asks whether the gateway is connected, some devices show a
+     * "no connection" indicator until the gateway answers with `mcuGatewayConnectionStatus`.
+     */
+    mcuGatewayConnectionStatusRequest: {
+        id: 0x25, // Command ID
+        direction: Cluster.DIRECTION_SERVER_TO_CLIENT,
+        args: {
+            payloadSize: ZCLDataTypes.uint16  // Sequence number set by the device
+        }
+    },
+
+    /**
+     * Gateway status answer sent to the device's MCU.
+     * 
+     * Payload 0x00: not connected, 0x01: connected, 0x02: timeout.
+     */
+    mcuGatewayConnectionStatus: {
+        id: 0x25, // Command ID
+        direction: Cluster.DIRECTION_CLIENT_TO_SERVER,
+        args: {
+            payloadSize: ZCLDataTypes.uint16, // Length of the payload (1)
+            payload: ZCLDataTypes.uint8       // Connection status
+        }
+    },
+
     /**
      * Command for reporting configuration.
      * 
@@ -109,6 +269,20 @@ const COMMANDS = {
  * - onResponse(response): Emits a `response` event when a response command is received.
  * - onReportingConfiguration(response): Emits a `reportingConfiguration` event when a 
  *    reporting configuration command is received.
+ * - onMcuSyncTimeRequest(request): Emits a `mcuSyncTimeRequest` event when the device asks
+ *    for the current time.
+ * - onMcuVersionResponse(response): Emits a `mcuVersionResponse` event with the MCU version.
+ * - onMcuOtaBlockDataRequest(request): Emits a `mcuOtaBlockDataRequest` event when the device
+ *    requests a block of a firmware image.
+ * - onMcuOtaResult(response): Emits a `mcuOtaResult` event with the result of an MCU update.
+ * - onMcuGatewayConnectionStatusRequest(request): Emits a `mcuGatewayConnectionStatusRequest`
+ *    event when the device asks whether the gateway is connected.
+ *
+ * A single frame can carry several datapoints (e.g. temperature, humidity and battery after
+ * a wake-up). The frame is split with `parseDataPoints` and the event is emitted once per
+ * datapoint, each with the usual `{ status, transid, dp, datatype, length, data }` shape.
+ * The complete array is emitted as `reportingDataPoints`, `responseDataPoints` or
+ * `reportingConfigurationDataPoints`.
  */
 class TuyaSpecificCluster extends Cluster {
     
@@ -129,34 +303,131 @@ class TuyaSpecificCluster extends Cluster {
         return COMMANDS;  // Commands defined for the cluster
     }
 
+    /**
+     * Splits a received frame into its datapoints. The command arguments only describe the
+     * first datapoint; its `data` buffer also contains any datapoints that follow, encoded
+     * as `dp (1) | datatype (1) | length (2) | data (length)`.
+     * 
+     * @param {Object} response - The parsed command arguments
+     * @returns {Array<Object>} - One `{ status, transid, dp, datatype, length, data }` per datapoint
+     */
+    static parseDataPoints(response) {
+        const { status, transid, dp, datatype, length, data } = response;
+        const dataPoints = [{ status, transid, dp, datatype, length, data: data.slice(0, length) }];
+
+        let offset = length;
+        while (data.length - offset >= 4) {
+            const next = {
+                status,
+                transid,
+                dp: data.readUInt8(offset),
+                datatype: data.readUInt8(offset + 1),
+                length: data.readUInt16BE(offset + 2),
+            };
+            offset += 4;
+
+            if (data.length - offset < next.length) break;  // Truncated frame, drop the remainder
+
+            next.data = data.slice(offset, offset + next.length);
+            offset += next.length;
+            dataPoints.push(next);
+        }
+        return dataPoints;
+    }
+
+    /**
+     * Emits `event` once for every datapoint in the frame, followed by `<event>DataPoints`
+     * with the complete array.
+     * 
+     * @param {string} event - Event name
+     * @param {Object} response - The parsed command arguments
+     */
+    emitDataPoints(event, response) {
+        const dataPoints = TuyaSpecificCluster.parseDataPoints(response);
+        for (const dataPoint of dataPoints) {
+            this.emit(event, dataPoint);
+        }
+        this.emit(`${event}DataPoints`, dataPoints);
+    }
+
     /**
      * Method called when a reporting command is received.
-     * Emits a `reporting` event with the response data.
+     * Emits a `reporting` event for each datapoint in the frame.
      * 
      * @param {Object} response - The response data from the device
      */
     onReporting(response) {
-        this.emit('reporting', response);
+        this.emitDataPoints('reporting', response);
     }
 
     /**
      * Method called when a response command is received.
-     * Emits a `response` event with the response data.
+     * Emits a `response` event for each datapoint in the frame.
      * 
      * @param {Object} response - The response data from the device
      */
     onResponse(response) {
-        this.emit('response', response);
+        this.emitDataPoints('response', response);
+    }
+
+    /**
+     * Method called when the device asks for the current time.
+     * Emits a `mcuSyncTimeRequest` event; TuyaSpecificClusterDevice answers it.
+     * 
+     * @param {Object} request - The request data from the device
+     */
+    onMcuSyncTimeRequest(request) {
+        this.emit('mcuSyncTimeRequest', request);
+    }
+
+    /**
+     * Method called when the device reports its MCU firmware version.
+     * Emits a `mcuVersionResponse` event.
+     * 
+     * @param {Object} response - The response data from the device
+     */
+    onMcuVersionResponse(response) {
+        this.emit('mcuVersionResponse', response);
+    }
+
+    /**
+     * Method called when the device requests a block of a firmware image.
+     * Emits a `mcuOtaBlockDataRequest` event; TuyaMcuOta answers it.
+     * 
+     * @param {Object} request - The request data from the device
+     */
+    onMcuOtaBlockDataRequest(request) {
+        this.emit('mcuOtaBlockDataRequest', request);
+    }
+
+    /**
+     * Method called when the device reports the result of an MCU update.
+     * Emits a `mcuOtaResult` event.
+     * 
+     * @param {Object} response - The response data from the device
+     */
+    onMcuOtaResult(response) {
+        this.emit('mcuOtaResult', response);
+    }
+
+    /**
+     * Method called when the device asks whether the gateway is connected.
+     * Emits a `mcuGatewayConnectionStatusRequest` event; TuyaSpecificClusterDevice answers it.
+     * 
+     * @param {Object} request - The request data from the device
+     */
+    onMcuGatewayConnectionStatusRequest(request) {
+        this.emit('mcuGatewayConnectionStatusRequest', request);
     }
 
     /**
      * Method called when a reporting configuration command is received.
-     * Emits a `reportingConfiguration` event with the response data.
+     * Emits a `reportingConfiguration` event for each datapoint in the frame.
      * 
      * @param {Object} response - The response data from the device
      */
     onReportingConfiguration(response) {
-        this.emit('reportingConfiguration', response);
+        this.emitDataPoints('reportingConfiguration', response);
     }
 }
 
@@ -1,6 +1,36 @@
 'use strict';
 
 const { ZigBeeDevice } = require("homey-zigbeedriver");
+const {
+    getDataValue, getDataBuffer, getTimeSyncPayload, getTuyaVersion, matchesVersion, TUYA_DATA_TYPES,
+    parseSchedule, marshalSchedule, parseScheduleV2, marshalScheduleV2,
+} = require('./TuyaHelpers');
+const { V1_THERMOSTAT_DATA_POINTS, V2_THERMOSTATIC_RADIATOR_VALVE_DATA_POINTS } = require('./TuyaDataPoints');
+const { wrapAsyncWithRetry } = require('./util');
+const TuyaMcuOta = require('./TuyaMcuOta');
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Days of the "Set weekly schedule" Flow card choices, other choices are a single weekday
+const SCHEDULE_DAYS = {
+    all: WEEKDAYS,
+    workdays: WEEKDAYS.slice(0, 5),
+    weekend: WEEKDAYS.slice(5),
+};
+
+// Datatype name and a JSON friendly decoded value of a datapoint frame, for logs, discovery and Flow tokens
+const describeDataPoint = frame => {
+    let value;
+    try {
+        value = getDataValue(frame);
+    } catch (err) {
+        value = null;
+    }
+    return {
+        datatype: Object.keys(TUYA_DATA_TYPES).find(name => TUYA_DATA_TYPES[name] === frame.datatype) || frame.datatype,
+        value: Buffer.isBuffer(value) ? value.toString('hex') : value,
+    };
+};
 
 /**
  * Class TuyaSpecificClusterDevice
@@ -12,6 +42,107 @@ const { ZigBeeDevice } = require("homey-zigbeedriver");
  * Usage: Extend this class in your ZigBee device driver, and call the appropriate
  * write function (writeBool, writeData32, writeString, writeEnum, writeRaw) based
  * on the type of data you want to send.
+ *
+ * Declarative profiles:
+ * Instead of hand-writing a `switch (dp)` and a matching `onSettings` block, a driver
+ * can describe its datapoints once and let this class do the parsing and writing:
+ *
+ *    const dataPoints = {
+ *        presenceState: { dp: 1, type: 'bool', capability: 'alarm_presence' },
+ *        temperature: { dp: 111, type: 'value', signed: true, scale: 1, capability: 'measure_temperature' },
+ *        temperatureUnit: { dp: 109, type: 'enum', setting: 'temperature_unit', map: ['0', '1'] },
+ *        temperatureCalibration: { dp: 105, type: 'value', signed: true, scale: 1, setting: 'temperature_calibration' },
+ *    };
+ *
+ *    async onNodeInit({ zclNode }) {
+ *        this.registerDataPoints(dataPoints);
+ *    }
+ *
+ * Profile entry properties:
+ * - dp {number}            Datapoint ID
+ * - type {string}          Tuya datatype, one of the keys of TUYA_DATA_TYPES
+ * - capability {string}    Capability updated from (and optionally written to) this dp
+ * - setting {string}       Device setting updated from (and optionally written to) this dp
+ * - scale {number}         Number of decimals the device uses (value / 10^scale)
+ * - signed {boolean}       Interpret value datapoints as two's complement (negative values)
+ * - map {Object|Array}     Device value -> Homey value lookup (enums, dropdown ids)
+ * - from/to {function}     Custom conversion after/before the generic conversion
+ * - direction {string}     'read', 'write' or 'both'. Capabilities default to 'read',
+ *                          settings default to 'both'.
+ * - endpoint {number}      Endpoint of the tuya cluster, defaults to `tuyaEndpoint`
+ * - gang {number}          Gang (channel) the datapoint belongs to, see "Multi-gang devices"
+ * - firmware {string}      MCU firmware the entry applies to, e.g. '>=1.0.2', see "Firmware"
+ * - schedule {string}      Thermostat schedule format of a raw dp, 'v1' or 'v2', see "Schedules"
+ * - days {string[]}        Weekdays a schedule dp applies to
+ *
+ * Multi-gang devices:
+ * Gangs can be exposed as sub-capabilities of one Homey device (`onoff`, `onoff.gang2`, ...)
+ * or as Homey sub-devices. `gangDataPoints` builds the repeated profile entries:
+ *
+ *    const dataPoints = {
+ *        ...TuyaSpecificClusterDevice.gangDataPoints('onOff', [1, 2, 3], { type: 'bool', capability: 'onoff', direction: 'both' }),
+ *        childLock: { dp: 41, type: 'bool', setting: 'child_lock' },
+ *    };
+ *
+ * For sub-devices set `gangSubDevices = true;` and give the sub-devices in driver.compose.json
+ * IDs ending with their gang number (`gang2`, `gang3`). Every instance then only handles the
+ * entries of its own gang; the main device is gang 1 and also handles the entries without one,
+ * the MCU requests (time sync, versions), MCU firmware updates and discovery mode. The
+ * "Tuya datapoint reported" Flow trigger fires on the device that handles the datapoint.
+ *
+ * Acknowledged writes:
+ * Every write waits until the device reports the datapoint back, either with the same
+ * transaction ID or (for devices that report with their own transid) with the written
+ * data. Unconfirmed writes are retried `writeRetries` times and then rejected, confirmed
+ * writes resolve to the value the device reported. Pass `{ acknowledge: false }` as the
+ * last argument to only send the frame.
+ *
+ * Sleepy devices:
+ * Battery powered devices only listen while they are awake. Writes for them can be queued
+ * with `queueDataPoint`; the queue is kept in the device store (so it survives app restarts),
+ * keeps only the latest value per endpoint and datapoint and is flushed whenever the device sends a frame.
+ * Profile settings are queued automatically when `isDeviceSleepy()` returns true. Pending and
+ * failed settings are shown to the user as a device warning.
+ *
+ * Time synchronisation:
+ * MCU time sync requests (command 0x24) are answered automatically with Homey's UTC and
+ * local time. Drivers for devices that misbehave on it can opt out with `timeSync = false;`.
+ *
+ * Flow cards:
+ * The advanced "Write Tuya datapoint" action and "Tuya datapoint reported" trigger work for
+ * every device built on this class, as an escape hatch for datapoints a driver does not model.
+ * They are registered in app.js; add new drivers to the `driver_id` filter of the Tuya cards
+ * in .homeycompose/flow.
+ *
+ * Firmware:
+ * The MCU firmware version is requested when the device is added (and whenever it is still
+ * unknown) and stored in the `tuya_mcu_version` setting, next to the Zigbee module version in
+ * `tuya_module_version`. Add both with `{ "$extends": "tuya_mcu_version" }` and
+ * `{ "$extends": "tuya_module_version" }`. Profile entries with a `firmware` condition are
+ * only used when the MCU version matches; while the version is unknown all variants are used.
+ * MCU gateway status requests (command 0x25) are answered with "connected".
+ *
+ * MCU firmware update:
+ * `startMcuOta(file, version)` updates the MCU with a local image file through the tuya
+ * cluster, see lib/TuyaMcuOta.js. Images are uploaded with the app Web API (`POST /ota/:id`),
+ * progress is shown in the `tuya_ota_progress` capability (added when an update starts) and
+ * reported with the `tuya_ota_progress` Flow trigger.
+ *
+ * Schedules:
+ * `scheduleDataPoints('v1')` returns the entries of the V1 thermostat (a 10 period schedule per
+ * weekday and the working day mode), `scheduleDataPoints('v2')` those of the V2 radiator valve
+ * (6 period workdays and holidays schedules). Schedules are shown in text settings as
+ * 'HH:MM/temperature' periods ('06:00/21 08:00/17 ...', see TuyaHelpers), validated when they
+ * are edited, and written as raw datapoints. Add the settings with `{ "$extends": "schedule_monday" }`
+ * ... `schedule_sunday` and `schedule_working_day` (v1), or `schedule_workdays` and
+ * `schedule_holidays` (v2). The "Set weekly schedule" Flow action calls `setWeeklySchedule`.
+ *
+ * Discovery mode:
+ * When the `tuya_discovery` setting is enabled every received datapoint is recorded in the
+ * device store (datatype, raw data, decoded value, first/last seen and count), summarised in
+ * the `tuya_discovery_summary` setting and available through the app Web API (`GET /discovery`),
+ * to build profiles for new devices from real traffic. Add both settings to a driver with
+ * `{ "$extends": "tuya_discovery" }` and `{ "$extends": "tuya_discovery_summary" }`.
  */
 class TuyaSpecificClusterDevice extends ZigBeeDevice {
 
@@ -28,87 +159,997 @@ class TuyaSpecificClusterDevice extends ZigBeeDevice {
         return this._transactionID;
     }
 
+    // Answer MCU time sync requests, override with `timeSync = false;` to opt out
+    timeSync = true;
+
+    // Endpoint of the tuya cluster used when a write or profile entry does not specify one
+    tuyaEndpoint = 1;
+
+    // Gangs are Homey sub-devices instead of sub-capabilities, see "Multi-gang devices"
+    gangSubDevices = false;
+
+    // Write acknowledgement
+    // Time (ms) to wait for the device to report a written datapoint back, and the number
+    // of times an unconfirmed write is sent again.
+    writeTimeout = 5000;
+    writeRetries = 2;
+    _pendingWrites = new Set();
+
+    // Sleepy device write queue
+    // Number of wake windows a queued write is attempted in before it is reported as failed.
+    queueAttempts = 3;
+    _flushingQueue = false;
+
+    // Discovery mode
+    // Time (ms) recorded datapoints are collected before they are saved to the store.
+    discoverySaveDelay = 10000;
+    _discoveryTimer = null;
+
     /**
-     * Sends a boolean value to the specified datapoint (dp).
-     * 
+     * Sets up the Tuya cluster listeners every device needs, before the driver's
+     * `onNodeInit` runs. Drivers overriding this method should call `super.onMeshInit()`.
+     */
+    async onMeshInit() {
+        this.mcuOta = new TuyaMcuOta(this);
+
+        // Gang sub-devices share the node with the main device, which answers the MCU
+        // requests and handles the firmware for all of them
+        const isMainDevice = (this.getGang() || 1) === 1;
+
+        for (const [endpointId, { clusters }] of Object.entries(this.zclNode.endpoints)) {
+            const tuyaCluster = clusters.tuya;
+            if (!tuyaCluster) continue;
+
+            const endpoint = Number(endpointId);
+            if (isMainDevice) {
+                tuyaCluster.on('mcuSyncTimeRequest', () => this.onTimeSyncRequest(endpoint).catch(this.error));
+                tuyaCluster.on('mcuGatewayConnectionStatusRequest', () => this.onGatewayStatusRequest(endpoint).catch(this.error));
+                tuyaCluster.on('mcuVersionResponse', ({ version }) => this.onMcuVersion(version).catch(this.error));
+                tuyaCluster.on('mcuOtaBlockDataRequest', request => this.mcuOta.onBlockDataRequest(request, endpoint).catch(this.error));
+                tuyaCluster.on('mcuOtaResult', result => this.mcuOta.onResult(result).catch(this.error));
+            }
+            tuyaCluster.on('response', value => this.acknowledgeDataPoint(value, endpoint));
+            tuyaCluster.on('reporting', value => this.acknowledgeDataPoint(value, endpoint));
+
+            // Any frame from the device means it is awake, use the window to flush queued writes
+            // and to repeat a pending MCU update notification
+            tuyaCluster.on('responseDataPoints', () => this.onDeviceAwake().catch(this.error));
+            tuyaCluster.on('reportingDataPoints', () => this.onDeviceAwake().catch(this.error));
+
+            // The main device keeps the discovery log of the whole node
+            if (isMainDevice) {
+                tuyaCluster.on('response', value => this.recordDataPoint(value, endpoint));
+                tuyaCluster.on('reporting', value => this.recordDataPoint(value, endpoint));
+            }
+
+            tuyaCluster.on('response', value => this.triggerDataPointReported(value, endpoint));
+            tuyaCluster.on('reporting', value => this.triggerDataPointReported(value, endpoint));
+        }
+
+        if (!isMainDevice) return;
+
+        // Sleepy devices may not answer now, the version is requested again on the next init
+        if (!this.getMcuVersion()) {
+            this.requestFirmwareVersions().catch(err => this.log('Could not request firmware versions:', err.message));
+        }
+
+        // An update interrupted by an app restart continues, or is notified again
+        if (!this.isDeviceSleepy()) {
+            this.mcuOta.resume().catch(err => this.log('Could not resume the MCU update:', err.message));
+        }
+    }
+
+    /**
+     * Returns the tuya cluster of an endpoint.
+     *
+     * @param {number} [endpoint=this.tuyaEndpoint] - Endpoint ID
+     * @returns {TuyaSpecificCluster}
+     */
+    getTuyaCluster(endpoint = this.tuyaEndpoint) {
+        const tuyaCluster = this.zclNode.endpoints[endpoint] && this.zclNode.endpoints[endpoint].clusters.tuya;
+        if (!tuyaCluster) {
+            throw new Error(`No tuya cluster on endpoint ${endpoint}`);
+        }
+        return tuyaCluster;
+    }
+
+    /**
+     * Returns the gang handled by this Homey device when `gangSubDevices` is set: the number
+     * the sub-device ID ends with, or 1 for the main device.
+     *
+     * @returns {number|null} - The gang, or null when this device handles all gangs
+     */
+    getGang() {
+        if (!this.gangSubDevices) return null;
+        const { subDeviceId } = this.getData();
+        const match = typeof subDeviceId === 'string' && subDeviceId.match(/(\d+)$/);
+        return match ? Number(match[1]) : 1;
+    }
+
+    /**
+     * Returns true when this Homey device handles a datapoint. With `gangSubDevices` the
+     * sub-devices handle the profile entries of their own gang, the main device all others.
+     *
      * @param {number} dp - The datapoint ID
-     * @param {boolean} value - The boolean value to write (true/false)
-     * @returns {Promise} - Resolves when the command is sent
+     * @param {number} [endpoint=this.tuyaEndpoint] - Endpoint the datapoint was received on
+     * @returns {boolean}
      */
-    async writeBool(dp, value) {
-        const data = Buffer.alloc(1);
-        data.writeUInt8(value ? 0x01 : 0x00, 0);
-        const transid = this.transactionID;
-        this.transactionID = transid + 1;
-        try {
-            this.log(`[Tuya TX] dp=${dp} datatype=bool(1) len=1 transid=${transid} data=0x${data.toString('hex')}`);
-            return await this.zclNode.endpoints[1].clusters.tuya.datapoint({
-                status: 0,
-                transid,
+    handlesDataPoint(dp, endpoint = this.tuyaEndpoint) {
+        const key = `${endpoint}:${dp}`;
+        if ((this.getGang() || 1) === 1) {
+            return !(this._ignoredDataPoints && this._ignoredDataPoints.has(key));
+        }
+        return Boolean(this._dataPointsByDp && this._dataPointsByDp.has(key));
+    }
+
+    /**
+     * Builds profile entries for a datapoint that is repeated for every gang. Capabilities and
+     * settings of gang 2 and up get a `.gangN` sub-capability and `_gangN` setting suffix,
+     * unless `gangSubDevices` is used (pass `{ subDevices: true }`).
+     *
+     * @param {string} name - Name prefix, the gang number is appended
+     * @param {number[]} dps - Datapoint ID of every gang, starting with gang 1
+     * @param {Object} entry - Profile entry properties shared by all gangs
+     * @param {Object} [options]
+     * @param {boolean} [options.subDevices=false] - Keep capability and setting IDs as they are
+     * @returns {Object} - Profile entries, to spread into a profile object
+     */
+    static gangDataPoints(name, dps, entry, { subDevices = false } = {}) {
+        const dataPoints = {};
+        dps.forEach((dp, index) => {
+            const gang = index + 1;
+            const suffixed = !subDevices && gang > 1;
+            dataPoints[`${name}${gang}`] = {
+                ...entry,
                 dp,
-                datatype: 1,  // Boolean datatype
-                length: 1,
-                data
-            });
-        } catch (err) {
-            this.error(`Error writing boolean to dp ${dp}:`, err);
-            throw err;
+                gang,
+                ...(entry.capability && { capability: suffixed ? `${entry.capability}.gang${gang}` : entry.capability }),
+                ...(entry.setting && { setting: suffixed ? `${entry.setting}_gang${gang}` : entry.setting }),
+            };
+        });
+        return dataPoints;
+    }
+
+    /**
+     * Builds the profile entries of a thermostat schedule, see "Schedules".
+     *
+     * @param {string} format - 'v1' (V1 thermostat) or 'v2' (V2 radiator valve)
+     * @returns {Object} - Profile entries, to spread into a profile object
+     */
+    static scheduleDataPoints(format) {
+        if (format === 'v1') {
+            const dataPoints = {
+                scheduleWorkingDay: { dp: V1_THERMOSTAT_DATA_POINTS.workingDay, type: 'enum', setting: 'schedule_working_day', map: ['0', '1', '2'] },
+            };
+            for (const day of WEEKDAYS) {
+                const name = `schedule${day[0].toUpperCase()}${day.slice(1)}`;
+                dataPoints[name] = { dp: V1_THERMOSTAT_DATA_POINTS[name], type: 'raw', schedule: 'v1', days: [day], setting: `schedule_${day}` };
+            }
+            return dataPoints;
+        }
+        if (format === 'v2') {
+            return {
+                workdaysSchedule: { dp: V2_THERMOSTATIC_RADIATOR_VALVE_DATA_POINTS.workdaysSchedule, type: 'raw', schedule: 'v2', days: SCHEDULE_DAYS.workdays, setting: 'schedule_workdays' },
+                holidaysSchedule: { dp: V2_THERMOSTATIC_RADIATOR_VALVE_DATA_POINTS.holidaysSchedule, type: 'raw', schedule: 'v2', days: SCHEDULE_DAYS.weekend, setting: 'schedule_holidays' },
+            };
         }
+        throw new Error(`Unknown schedule format "${format}"`);
     }
 
     /**
-     * Sends a 32-bit integer value to the specified datapoint (dp).
-     * 
+     * Battery powered devices announce themselves when they wake up.
+     * Drivers overriding this method should call `super.onEndDeviceAnnounce()`.
+     */
+    async onEndDeviceAnnounce() {
+        super.onEndDeviceAnnounce();
+        await this.onDeviceAwake().catch(this.error);
+    }
+
+    /**
+     * Called whenever the device is known to be awake (a frame or announcement was received):
+     * flushes queued writes and repeats a pending MCU update notification.
+     * Drivers overriding this method should call `super.onDeviceAwake()`.
+     *
+     * @returns {Promise}
+     */
+    async onDeviceAwake() {
+        await this.flushQueuedDataPoints().catch(this.error);
+        await this.mcuOta.resume().catch(err => this.log('Could not resume the MCU update:', err.message));
+    }
+
+    /**
+     * Returns true when the device does not listen while idle (battery powered), so writes
+     * have to wait for its wake window.
+     *
+     * @returns {boolean}
+     */
+    isDeviceSleepy() {
+        return this.node?.receiveWhenIdle === false;
+    }
+
+    /**
+     * Queues a datapoint write until the device is awake. A newer write to the same
+     * datapoint (on the same endpoint) replaces the queued one.
+     *
+     * @param {string} key - Setting ID (or other name) the write is reported under
      * @param {number} dp - The datapoint ID
-     * @param {number} value - The integer value to write
-     * @returns {Promise} - Resolves when the command is sent
-     */
-    async writeData32(dp, value) {
-        const data = Buffer.alloc(4);
-        data.writeUInt32BE(value, 0);
-        const transid = this.transactionID;
-        this.transactionID = transid + 1;
+     * @param {number} datatype - The Tuya datatype (see TUYA_DATA_TYPES)
+     * @param {*} value - The raw value to write, encoded with `getDataBuffer`
+     * @param {Object} [options] - Encoding options for `getDataBuffer` (scale, length), plus:
+     * @param {number} [options.endpoint=this.tuyaEndpoint] - Endpoint of the tuya cluster to send to
+     * @returns {Promise} - Resolves when the write is queued
+     */
+    async queueDataPoint(key, dp, datatype, value, { endpoint = this.tuyaEndpoint, ...options } = {}) {
+        const queue = { ...this.getStoreValue('queuedDataPoints') };
+        queue[`${endpoint}:${dp}`] = {
+            key,
+            endpoint,
+            dp,
+            datatype,
+            data: getDataBuffer(datatype, value, options).toString('hex'),
+            attempts: 0,
+        };
+        await this.setStoreValue('queuedDataPoints', queue);
+
+        const failed = (this.getStoreValue('failedDataPoints') || []).filter(failedKey => failedKey !== key);
+        await this.setStoreValue('failedDataPoints', failed);
+
+        this.log(`[Tuya queue] ${key} (dp ${dp}): pending`);
+        await this.updateQueueStatus();
+    }
+
+    /**
+     * Sends all queued writes. Writes that are not confirmed stay queued for the next
+     * wake window, until they failed `queueAttempts` times.
+     *
+     * @returns {Promise} - Resolves when the queue has been processed
+     */
+    async flushQueuedDataPoints() {
+        if (this._flushingQueue) return;
+        const queued = Object.entries(this.getStoreValue('queuedDataPoints') || {});
+        if (queued.length === 0) return;
+
+        this._flushingQueue = true;
         try {
-            this.log(`[Tuya TX] dp=${dp} datatype=value(2) len=4 transid=${transid} data=0x${data.toString('hex')}`);
-            return await this.zclNode.endpoints[1].clusters.tuya.datapoint({
-                status: 0,
-                transid,
-                dp,
-                datatype: 2,  // 32-bit integer datatype
-                length: 4,
-                data
-            });
+            for (const [queueKey, write] of queued) {
+                let status;
+                try {
+                    await this.sendDataPoint(write.dp, write.datatype, Buffer.from(write.data, 'hex'), {
+                        retries: 0,
+                        endpoint: write.endpoint,
+                    });
+                    status = 'applied';
+                } catch (err) {
+                    status = write.attempts + 1 >= this.queueAttempts ? 'failed' : 'pending';
+                }
+                this.log(`[Tuya queue] ${write.key} (dp ${write.dp}): ${status}`);
+
+                // The user may have queued a new value while this one was being sent
+                const queue = { ...this.getStoreValue('queuedDataPoints') };
+                const current = queue[queueKey];
+                if (!current || current.data !== write.data) continue;
+
+                if (status === 'pending') {
+                    queue[queueKey] = { ...current, attempts: current.attempts + 1 };
+                } else {
+                    delete queue[queueKey];
+                }
+                await this.setStoreValue('queuedDataPoints', queue);
+
+                if (status === 'failed') {
+                    const failed = this.getStoreValue('failedDataPoints') || [];
+                    await this.setStoreValue('failedDataPoints', [...failed.filter(key => key !== write.key), write.key]);
+                }
+            }
+        } finally {
+            this._flushingQueue = false;
+        }
+        await this.updateQueueStatus();
+    }
+
+    /**
+     * Shows pending and failed queued writes as a device warning, or clears the warning
+     * when everything has been applied.
+     */
+    async updateQueueStatus() {
+        const pending = Object.values(this.getStoreValue('queuedDataPoints') || {})
+            .map(write => this.getSettingLabel(write.key));
+        const failed = (this.getStoreValue('failedDataPoints') || [])
+            .map(key => this.getSettingLabel(key));
+
+        const messages = [];
+        if (pending.length > 0) messages.push(`Waiting for the device to wake up: ${pending.join(', ')}.`);
+        if (failed.length > 0) messages.push(`Not applied by the device: ${failed.join(', ')}.`);
+
+        if (messages.length > 0) {
+            await this.setWarning(messages.join(' ')).catch(this.error);
+        } else {
+            await this.unsetWarning().catch(this.error);
+        }
+    }
+
+    /**
+     * Returns the label of a setting in the user's language, or the key if it has none.
+     *
+     * @param {string} key - Setting ID
+     * @returns {string}
+     */
+    getSettingLabel(key) {
+        const find = settings => {
+            for (const setting of settings || []) {
+                if (setting.id === key) return setting;
+                const child = find(setting.children);
+                if (child) return child;
+            }
+            return null;
+        };
+        const setting = find(this.driver.manifest.settings);
+        if (!setting || !setting.label) return key;
+        return setting.label[this.homey.i18n.getLanguage()] || setting.label.en || key;
+    }
+
+    /**
+     * Records a received datapoint while discovery mode is enabled.
+     *
+     * @param {Object} frame - Datapoint frame as emitted by the tuya cluster
+     * @param {number} endpoint - Endpoint the frame was received on
+     */
+    recordDataPoint(frame, endpoint) {
+        if (!this.getSetting('tuya_discovery')) return;
+
+        if (!this._discoveredDataPoints) {
+            this._discoveredDataPoints = { ...this.getStoreValue('discoveredDataPoints') };
+        }
+
+        const { datatype, value } = describeDataPoint(frame);
+        const now = new Date().toISOString();
+        const key = `${endpoint}:${frame.dp}`;
+        const record = this._discoveredDataPoints[key];
+        this._discoveredDataPoints[key] = {
+            endpoint,
+            dp: frame.dp,
+            datatype,
+            raw: frame.data.toString('hex'),
+            value,
+            firstSeen: record ? record.firstSeen : now,
+            lastSeen: now,
+            count: record ? record.count + 1 : 1,
+        };
+
+        if (!this._discoveryTimer) {
+            this._discoveryTimer = setTimeout(() => {
+                this._discoveryTimer = null;
+                this.saveDiscoveredDataPoints().catch(this.error);
+            }, this.discoverySaveDelay);
+        }
+    }
+
+    /**
+     * Saves the recorded datapoints to the store and updates the summary setting.
+     *
+     * @returns {Promise} - Resolves when saved
+     */
+    async saveDiscoveredDataPoints() {
+        await this.setStoreValue('discoveredDataPoints', this._discoveredDataPoints);
+        await this.setSettings({ tuya_discovery_summary: this.getDiscoverySummary() });
+    }
+
+    /**
+     * Returns the recorded datapoints, ordered by endpoint and datapoint ID.
+     *
+     * @returns {Object[]}
+     */
+    getDiscoveredDataPoints() {
+        const discovered = this._discoveredDataPoints || this.getStoreValue('discoveredDataPoints') || {};
+        return Object.values(discovered).sort((a, b) => a.endpoint - b.endpoint || a.dp - b.dp);
+    }
+
+    /**
+     * Returns a readable summary of the recorded datapoints, one line per datapoint.
+     *
+     * @returns {string}
+     */
+    getDiscoverySummary() {
+        const dataPoints = this.getDiscoveredDataPoints();
+        if (dataPoints.length === 0) return 'No datapoints received yet.';
+
+        return dataPoints.map(({ endpoint, dp, datatype, raw, value, count, lastSeen }) => {
+            const prefix = endpoint === this.tuyaEndpoint ? '' : `ep ${endpoint} `;
+            return `${prefix}DP ${dp} (${datatype}): ${JSON.stringify(value)} [0x${raw}] ${count}x, last ${lastSeen}`;
+        }).join('\n');
+    }
+
+    /**
+     * Triggers the "Tuya datapoint reported" Flow card, on the (sub-)device that handles the
+     * datapoint.
+     *
+     * @param {Object} frame - Datapoint frame as emitted by the tuya cluster
+     * @param {number} [endpoint=this.tuyaEndpoint] - Endpoint the frame was received on
+     */
+    triggerDataPointReported(frame, endpoint = this.tuyaEndpoint) {
+        if (!this.handlesDataPoint(frame.dp, endpoint)) return;
+
+        const { datatype, value } = describeDataPoint(frame);
+        const tokens = {
+            dp: frame.dp,
+            datatype: String(datatype),
+            value: String(value),
+        };
+        this.homey.flow.getDeviceTriggerCard('tuya_dp_reported')
+            .trigger(this, tokens, { dp: frame.dp })
+            .catch(this.error);
+    }
+
+    /**
+     * Writes a datapoint from the "Write Tuya datapoint" Flow card, parsing the text value
+     * for the chosen datatype.
+     *
+     * @param {number} dp - The datapoint ID
+     * @param {string} type - Datatype name, one of the keys of TUYA_DATA_TYPES
+     * @param {string} value - The value as entered in the Flow card
+     * @returns {Promise} - Resolves with the value confirmed by the device
+     */
+    async writeFlowDataPoint(dp, type, value) {
+        const text = String(value).trim();
+        const number = Number(text);
+        const isInteger = text !== '' && Number.isInteger(number);
+
+        switch (type) {
+            case 'bool':
+                if (!/^(true|false|on|off|1|0)$/i.test(text)) break;
+                return this.writeBool(dp, /^(true|on|1)$/i.test(text));
+            case 'value':
+                if (text === '' || !Number.isFinite(number)) break;
+                return this.writeData32(dp, number);
+            case 'enum':
+                if (!isInteger || number < 0 || number > 0xFF) break;
+                return this.writeEnum(dp, number);
+            case 'bitmap':
+                if (!isInteger || number < 0 || number > 0xFFFFFFFF) break;
+                return this.writeBitmap(dp, number);
+            case 'string':
+                return this.writeString(dp, value);
+            case 'raw': {
+                const hex = text.replace(/^0x/i, '');
+                if (!/^([0-9a-f]{2})+$/i.test(hex)) break;
+                return this.writeRaw(dp, Buffer.from(hex, 'hex'));
+            }
+            default:
+                throw new Error(`Unsupported datatype: ${type}`);
+        }
+        throw new Error(`Invalid ${type} value "${value}"`);
+    }
+
+    /**
+     * Returns the MCU firmware version reported by the device.
+     *
+     * @returns {string|null} - Version string (e.g. '1.0.8'), or null when unknown
+     */
+    getMcuVersion() {
+        return this.getStoreValue('mcuVersion') || null;
+    }
+
+    /**
+     * Returns true when a profile entry's `firmware` condition matches the MCU version.
+     * Entries without a condition, and all entries while the version is unknown, match.
+     *
+     * @param {string} [firmware] - Version condition, e.g. '>=1.0.2'
+     * @returns {boolean}
+     */
+    matchesFirmware(firmware) {
+        const version = this.getMcuVersion();
+        if (!firmware || !version) return true;
+        return matchesVersion(version, firmware);
+    }
+
+    /**
+     * Asks the MCU for its firmware version and reads the Zigbee module version from the
+     * Basic cluster.
+     *
+     * @returns {Promise} - Resolves when the request is sent
+     */
+    async requestFirmwareVersions() {
+        const seq = this.transactionID;
+        this.transactionID = seq + 1;
+        this.log(`[Tuya TX] MCU version request seq=${seq}`);
+        await this.getTuyaCluster().mcuVersionRequest({ seq });
+
+        const basic = this.zclNode.endpoints[1] && this.zclNode.endpoints[1].clusters.basic;
+        if (basic) {
+            const { appVersion } = await basic.readAttributes(['appVersion']);
+            this.log('Zigbee module version:', getTuyaVersion(appVersion));
+            await this.setSettings({ tuya_module_version: getTuyaVersion(appVersion) }).catch(() => {});
+        }
+    }
+
+    /**
+     * Stores the MCU firmware version and re-registers the profile when the version
+     * changes, so the matching datapoint variants are used.
+     *
+     * @param {number} value - Version byte of the MCU version response
+     */
+    async onMcuVersion(value) {
+        const version = getTuyaVersion(value);
+        this.log('MCU version:', version);
+        if (version === this.getMcuVersion()) return;
+
+        await this.setStoreValue('mcuVersion', version);
+        await this.setSettings({ tuya_mcu_version: version }).catch(() => {});
+
+        if (this._profile && Object.values(this._profile).some(dataPoint => dataPoint.firmware)) {
+            this.registerDataPoints(this._profile);
+        }
+    }
+
+    /**
+     * Answers a gateway status request from the MCU with "connected".
+     *
+     * @param {number} [endpoint=this.tuyaEndpoint] - Endpoint the request was received on
+     * @returns {Promise} - Resolves when the answer is sent
+     */
+    async onGatewayStatusRequest(endpoint = this.tuyaEndpoint) {
+        this.log(`[Tuya TX] gateway status ep=${endpoint} connected`);
+        await this.getTuyaCluster(endpoint).mcuGatewayConnectionStatus({
+            payloadSize: 1,
+            payload: 1
+        });
+    }
+
+    /**
+     * Asks the device to report the current value of all its datapoints.
+     *
+     * @param {number} [endpoint=this.tuyaEndpoint] - Endpoint of the tuya cluster
+     * @returns {Promise} - Resolves when the request is sent
+     */
+    async queryDataPoints(endpoint = this.tuyaEndpoint) {
+        this.log(`[Tuya TX] data query ep=${endpoint}`);
+        await this.getTuyaCluster(endpoint).dataQuery({});
+    }
+
+    /**
+     * Writes a schedule to every schedule datapoint that only covers the given days, e.g. the
+     * seven weekday datapoints of a V1 thermostat for 'all', or the workdays datapoint of a V2
+     * radiator valve for 'workdays'. The schedule is validated before anything is written.
+     *
+     * @param {string} days - 'all', 'workdays', 'weekend' or a weekday ('monday' ... 'sunday')
+     * @param {string} schedule - 'HH:MM/temperature' periods separated by spaces
+     * @returns {Promise} - Resolves when the device confirmed (or, when sleepy, queued) the schedule
+     */
+    async setWeeklySchedule(days, schedule) {
+        const selected = SCHEDULE_DAYS[days] || [days];
+        const entries = [...(this._dataPoints || new Map()).values()]
+            .filter(entry => entry.schedule && entry.days.every(day => selected.includes(day)));
+        if (entries.length === 0) {
+            throw new Error(`This device has no separate schedule for ${days}`);
+        }
+
+        const writes = entries.map(entry => ({ entry, raw: this.serializeDataPointValue(entry, schedule) }));
+        for (const { entry, raw } of writes) {
+            if (this.isDeviceSleepy()) {
+                await this.queueDataPoint(entry.setting || entry.name, entry.dp, TUYA_DATA_TYPES.raw, raw, { endpoint: entry.endpoint });
+                continue;
+            }
+
+            const value = await this.writeDataPoint(entry, schedule);
+            if (entry.setting && value !== undefined) {
+                await this.setSettings({ [entry.setting]: value }).catch(this.error);
+            }
+        }
+    }
+
+    /**
+     * Starts a firmware update of the MCU with a local image file, see "MCU firmware update".
+     *
+     * @param {string} file - Path of the firmware image
+     * @param {string} version - Version of the image, e.g. '1.0.8'
+     * @returns {Promise} - Resolves when the update is started
+     */
+    async startMcuOta(file, version) {
+        await this.mcuOta.start(file, version);
+    }
+
+    /**
+     * Cancels a running MCU firmware update.
+     *
+     * @returns {Promise}
+     */
+    async cancelMcuOta() {
+        await this.mcuOta.cancel();
+    }
+
+    /**
+     * Returns the status of the current or last MCU firmware update.
+     *
+     * @returns {Object|null} - `{ file, version, size, progress, status, started }`, or null
+     */
+    getMcuOtaStatus() {
+        return this.mcuOta.getStatus();
+    }
+
+    /**
+     * Answers a time sync request with the current UTC and local time, using the
+     * timezone configured on Homey.
+     *
+     * @param {number} [endpoint=this.tuyaEndpoint] - Endpoint the request was received on
+     * @returns {Promise} - Resolves when the answer is sent
+     */
+    async onTimeSyncRequest(endpoint = this.tuyaEndpoint) {
+        if (!this.timeSync) return;
+
+        const timeZone = this.homey.clock.getTimezone();
+        const payload = getTimeSyncPayload(timeZone);
+        this.log(`[Tuya TX] time sync ep=${endpoint} timezone=${timeZone} data=0x${payload.toString('hex')}`);
+        await this.getTuyaCluster(endpoint).mcuSyncTime({
+            payloadSize: payload.length,
+            payload
+        });
+    }
+
+    /**
+     * Registers a declarative datapoint profile. Incoming `response` and `reporting`
+     * frames are parsed and routed to the mapped capability or setting, writable
+     * capabilities get a capability listener and writable settings are handled by
+     * `onSettings`. With `gangSubDevices`, entries of other gangs are ignored, entries
+     * with a `firmware` condition are only used when the MCU version matches.
+     *
+     * @param {Object} dataPoints - Profile object, keyed by a descriptive datapoint name
+     */
+    registerDataPoints(dataPoints) {
+        this._profile = dataPoints;
+        this._dataPoints = new Map();
+        this._dataPointsByDp = new Map();
+        this._dataPointsBySetting = new Map();
+        this._ignoredDataPoints = new Set();
+
+        const gang = this.getGang();
+        const endpoints = new Set();
+        for (const [name, dataPoint] of Object.entries(dataPoints)) {
+            if (TUYA_DATA_TYPES[dataPoint.type] === undefined) {
+                throw new Error(`Invalid datatype "${dataPoint.type}" for data point ${name}`);
+            }
+            const entry = {
+                name,
+                direction: dataPoint.setting ? 'both' : 'read',
+                endpoint: this.tuyaEndpoint,
+                ...dataPoint,
+            };
+            endpoints.add(entry.endpoint);
+
+            // Another sub-device handles this gang (the main device handles shared entries)
+            if (gang !== null && (entry.gang || 1) !== gang) {
+                this._ignoredDataPoints.add(`${entry.endpoint}:${entry.dp}`);
+                continue;
+            }
+            // Datapoint variant of another firmware
+            if (!this.matchesFirmware(entry.firmware)) continue;
+
+            this._dataPoints.set(name, entry);
+            this._dataPointsByDp.set(`${entry.endpoint}:${entry.dp}`, entry);
+
+            if (entry.setting) {
+                this._dataPointsBySetting.set(entry.setting, entry);
+            }
+            if (entry.capability && entry.direction !== 'read' && this.hasCapability(entry.capability)) {
+                this.registerCapabilityListener(entry.capability, value => this.writeDataPoint(entry, value));
+            }
+        }
+
+        // Subscribe once per endpoint, the profile can be registered again (see `onMcuVersion`)
+        this._dataPointEndpoints = this._dataPointEndpoints || new Set();
+        for (const endpoint of endpoints) {
+            if (this._dataPointEndpoints.has(endpoint)) continue;
+            this._dataPointEndpoints.add(endpoint);
+
+            const tuyaCluster = this.getTuyaCluster(endpoint);
+            tuyaCluster.on('response', value => this.onDataPoint(value, endpoint));
+            tuyaCluster.on('reporting', value => this.onDataPoint(value, endpoint));
+        }
+
+        // Schedules are not reported periodically, ask the device for its current values
+        if ([...this._dataPoints.values()].some(entry => entry.schedule) && !this.isDeviceSleepy()) {
+            this.queryDataPoints().catch(err => this.log('Could not query data points:', err.message));
+        }
+    }
+
+    /**
+     * Handles an incoming datapoint using the registered profile.
+     * Override `onUnhandledDataPoint` to process datapoints the profile does not describe.
+     *
+     * @param {Object} data - Datapoint frame as emitted by the tuya cluster
+     * @param {number} [endpoint=this.tuyaEndpoint] - Endpoint the frame was received on
+     */
+    async onDataPoint(data, endpoint = this.tuyaEndpoint) {
+        const key = `${endpoint}:${data.dp}`;
+        if (this._ignoredDataPoints && this._ignoredDataPoints.has(key)) return;
+
+        const entry = this._dataPointsByDp && this._dataPointsByDp.get(key);
+        if (!entry || entry.direction === 'write') {
+            return this.onUnhandledDataPoint(data, endpoint);
+        }
+
+        const value = this.parseDataPointValue(entry, data);
+        if (value === undefined) {
+            this.log(`Unmapped value for ${entry.name} (dp ${entry.dp}):`, getDataValue(data));
+            return;
+        }
+        this.log(`${entry.name}:`, value);
+
+        if (entry.capability && this.hasCapability(entry.capability)) {
+            await this.setCapabilityValue(entry.capability, value).catch(this.error);
+        }
+        if (entry.setting) {
+            await this.setSettings({ [entry.setting]: value }).catch(() => {});
+        }
+    }
+
+    /**
+     * Called for datapoints that are not part of the registered profile.
+     *
+     * @param {Object} data - Datapoint frame as emitted by the tuya cluster
+     * @param {number} endpoint - Endpoint the frame was received on
+     */
+    async onUnhandledDataPoint(data, endpoint) {
+        this.log('Unhandled data point:', data.dp, 'value:', getDataValue(data));
+    }
+
+    /**
+     * Converts a received datapoint into the Homey value described by a profile entry.
+     *
+     * @param {Object} entry - Profile entry
+     * @param {Object} data - Datapoint frame as emitted by the tuya cluster
+     * @returns {*} - The converted value, or undefined if the value is not in the entry map
+     */
+    parseDataPointValue(entry, data) {
+        let value;
+        if (entry.schedule) {
+            value = entry.schedule === 'v2' ? parseScheduleV2(data.data) : parseSchedule(data.data);
+        } else {
+            value = getDataValue(data, { signed: entry.signed, scale: entry.scale });
+        }
+
+        if (entry.map) {
+            value = entry.map[value];
+        }
+        if (entry.from) {
+            value = entry.from.call(this, value);
+        }
+        return value;
+    }
+
+    /**
+     * Converts a Homey value into the raw value the device expects for a profile entry.
+     *
+     * @param {Object} entry - Profile entry
+     * @param {*} value - Capability or setting value
+     * @param {Object} [settings=this.getSettings()] - Device settings, schedules use the working day mode
+     * @returns {*} - The raw value to write
+     */
+    serializeDataPointValue(entry, value, settings = this.getSettings()) {
+        if (entry.to) {
+            value = entry.to.call(this, value);
+        }
+        if (entry.schedule === 'v2') {
+            return marshalScheduleV2(value);
+        }
+        if (entry.schedule) {
+            return marshalSchedule(settings.schedule_working_day || '2', entry.dp, value);
+        }
+        if (entry.map) {
+            const match = Object.entries(entry.map).find(([, mapped]) => String(mapped) === String(value));
+            if (!match) {
+                throw new Error(`Invalid value "${value}" for data point ${entry.name}`);
+            }
+            value = Number(match[0]);
+        }
+        if (entry.scale) {
+            value *= 10 ** entry.scale;
+        }
+        if (entry.type === 'value') {
+            value = Math.round(value);
+        }
+        return value;
+    }
+
+    /**
+     * Writes a value to a profile datapoint, encoded according to its datatype.
+     *
+     * @param {Object|string} entry - Profile entry, or the name it was registered with
+     * @param {*} value - Capability or setting value
+     * @param {Object} [settings] - Device settings, see `serializeDataPointValue`
+     * @returns {Promise} - Resolves with the value confirmed by the device
+     */
+    async writeDataPoint(entry, value, settings) {
+        if (typeof entry === 'string') {
+            const name = entry;
+            entry = this._dataPoints && this._dataPoints.get(name);
+            if (!entry) {
+                throw new Error(`Unknown data point ${name}`);
+            }
+        }
+
+        const raw = this.serializeDataPointValue(entry, value, settings);
+        const frame = await this.sendDataPoint(entry.dp, TUYA_DATA_TYPES[entry.type], getDataBuffer(TUYA_DATA_TYPES[entry.type], raw), {
+            endpoint: entry.endpoint,
+        });
+        return frame && this.parseDataPointValue(entry, frame);
+    }
+
+    /**
+     * Writes changed settings that are described by the registered profile.
+     * Drivers overriding this method should call `super.onSettings()`.
+     * Throws when a value is invalid (e.g. a schedule) or the device did not confirm one of
+     * the settings, so Homey keeps the old values. Settings of sleepy devices are queued until
+     * the device wakes up.
+     */
+    async onSettings({ newSettings, changedKeys }) {
+        if (!this._dataPointsBySetting) return;
+
+        // Validate all values before anything is written
+        const writes = [];
+        for (const key of changedKeys) {
+            const entry = this._dataPointsBySetting.get(key);
+            if (!entry || entry.direction === 'read') continue;
+
+            writes.push({ key, entry, raw: this.serializeDataPointValue(entry, newSettings[key], newSettings) });
+        }
+
+        const failed = [];
+        let queued = false;
+        for (const { key, entry, raw } of writes) {
+            if (this.isDeviceSleepy()) {
+                await this.queueDataPoint(key, entry.dp, TUYA_DATA_TYPES[entry.type], raw, { endpoint: entry.endpoint });
+                queued = true;
+                continue;
+            }
+
+            try {
+                await this.writeDataPoint(entry, newSettings[key], newSettings);
+            } catch (error) {
+                this.error(`Error writing setting ${key}:`, error);
+                failed.push(key);
+            }
+        }
+        this.log('Settings changed:', changedKeys);
+
+        if (failed.length > 0) {
+            throw new Error(`The device did not confirm: ${failed.join(', ')}`);
+        }
+        if (queued) {
+            return 'The settings will be sent to the device when it wakes up.';
+        }
+    }
+
+    /**
+     * Sends a datapoint frame and waits for the device to confirm it.
+     *
+     * @param {number} dp - The datapoint ID
+     * @param {number} datatype - The Tuya datatype (see TUYA_DATA_TYPES)
+     * @param {Buffer} data - The encoded value
+     * @param {Object} [opts]
+     * @param {boolean} [opts.acknowledge=true] - Wait for the device to report the datapoint back
+     * @param {number} [opts.timeout=this.writeTimeout] - Time (ms) to wait for the report
+     * @param {number} [opts.retries=this.writeRetries] - Number of times to resend unconfirmed writes
+     * @param {number} [opts.endpoint=this.tuyaEndpoint] - Endpoint of the tuya cluster to send to
+     * @returns {Promise<Object>} - Resolves with the confirming frame (undefined when not acknowledged)
+     */
+    async sendDataPoint(dp, datatype, data, {
+        acknowledge = true,
+        timeout = this.writeTimeout,
+        retries = this.writeRetries,
+        endpoint = this.tuyaEndpoint,
+    } = {}) {
+        const typeName = Object.keys(TUYA_DATA_TYPES).find(name => TUYA_DATA_TYPES[name] === datatype);
+        const tuyaCluster = this.getTuyaCluster(endpoint);
+
+        const send = async () => {
+            const transid = this.transactionID;
+            this.transactionID = transid + 1;
+            this.log(`[Tuya TX] ep=${endpoint} dp=${dp} datatype=${typeName}(${datatype}) len=${data.length} transid=${transid} data=0x${data.toString('hex')}`);
+
+            const confirmation = acknowledge ? this.waitForDataPoint({ endpoint, dp, transid, data }, timeout) : null;
+            if (confirmation) confirmation.catch(() => {}); // Handled below, avoid an unhandled rejection while sending
+            try {
+                await tuyaCluster.datapoint({
+                    status: 0,
+                    transid,
+                    dp,
+                    datatype,
+                    length: data.length,
+                    data
+                });
+            } catch (err) {
+                if (!confirmation) throw err;
+                // Some devices answer with a failure status but still apply and report the value
+                this.log(`[Tuya TX] dp=${dp} transid=${transid} returned "${err.message}", waiting for report`);
+            }
+            return confirmation || undefined;
+        };
+
+        try {
+            return await wrapAsyncWithRetry(send, acknowledge ? retries : 0);
         } catch (err) {
-            this.error(`Error writing data32 to dp ${dp}:`, err);
+            this.error(`Error writing ${typeName} to dp ${dp}:`, err);
             throw err;
         }
     }
 
+    /**
+     * Resolves when the device reports the given datapoint back, matched on transaction ID,
+     * or on the written data for devices that report with their own transaction ID.
+     *
+     * @param {Object} write - The `endpoint`, `dp`, `transid` and `data` that were sent
+     * @param {number} timeout - Time (ms) to wait before rejecting
+     * @returns {Promise<Object>} - Resolves with the confirming frame
+     */
+    waitForDataPoint({ endpoint = this.tuyaEndpoint, dp, transid, data }, timeout) {
+        return new Promise((resolve, reject) => {
+            const pending = { endpoint, dp, transid, data, resolve };
+            pending.timer = setTimeout(() => {
+                this._pendingWrites.delete(pending);
+                reject(new Error(`Device did not confirm dp ${dp} (transid ${transid}) within ${timeout} ms`));
+            }, timeout);
+            this._pendingWrites.add(pending);
+        });
+    }
+
+    /**
+     * Resolves pending writes confirmed by an incoming datapoint frame.
+     *
+     * @param {Object} frame - Datapoint frame as emitted by the tuya cluster
+     * @param {number} [endpoint=this.tuyaEndpoint] - Endpoint the frame was received on
+     */
+    acknowledgeDataPoint(frame, endpoint = this.tuyaEndpoint) {
+        for (const pending of this._pendingWrites) {
+            if (pending.endpoint !== endpoint || pending.dp !== frame.dp) continue;
+            if (pending.transid !== frame.transid && !pending.data.equals(frame.data)) continue;
+
+            clearTimeout(pending.timer);
+            this._pendingWrites.delete(pending);
+            pending.resolve(frame);
+        }
+    }
+
+    /**
+     * Sends a boolean value to the specified datapoint (dp).
+     * 
+     * @param {number} dp - The datapoint ID
+     * @param {boolean} value - The boolean value to write (true/false)
+     * @param {Object} [opts] - See `sendDataPoint`
+     * @returns {Promise} - Resolves with the value confirmed by the device
+     */
+    async writeBool(dp, value, opts) {
+        const frame = await this.sendDataPoint(dp, TUYA_DATA_TYPES.bool, getDataBuffer(TUYA_DATA_TYPES.bool, value), opts);
+        return frame && getDataValue(frame);
+    }
+
+    /**
+     * Sends a 32-bit integer value to the specified datapoint (dp).
+     * Negative values are sent as two's complement.
+     * 
+     * @param {number} dp - The datapoint ID
+     * @param {number} value - The value to write
+     * @param {Object} [opts] - See `sendDataPoint`, plus:
+     * @param {number} [opts.scale] - Number of decimals the device uses, `value` is multiplied by 10^scale
+     * @param {boolean} [opts.signed] - Read the confirmed value as two's complement (implied for negative values)
+     * @returns {Promise} - Resolves with the value confirmed by the device
+     */
+    async writeData32(dp, value, { scale = 0, signed = value < 0, ...opts } = {}) {
+        const data = getDataBuffer(TUYA_DATA_TYPES.value, value, { scale });
+        const frame = await this.sendDataPoint(dp, TUYA_DATA_TYPES.value, data, opts);
+        return frame && getDataValue(frame, { signed, scale });
+    }
+
     /**
      * Sends a string value to the specified datapoint (dp).
      * 
      * @param {number} dp - The datapoint ID
      * @param {string} value - The string value to write
-     * @returns {Promise} - Resolves when the command is sent
+     * @param {Object} [opts] - See `sendDataPoint`
+     * @returns {Promise} - Resolves with the value confirmed by the device
      */
-    async writeString(dp, value) {
-        const data = Buffer.from(String(value), 'latin1');
-        const transid = this.transactionID;
-        this.transactionID = transid + 1;
-        try {
-            this.log(`[Tuya TX] dp=${dp} datatype=string(3) len=${value.length} transid=${transid} data=0x${data.toString('hex')}`);
-            return await this.zclNode.endpoints[1].clusters.tuya.datapoint({
-                status: 0,
-                transid,
-                dp,
-                datatype: 3,  // String datatype
-                length: value.length,
-                data
-            });
-        } catch (err) {
-            this.error(`Error writing string to dp ${dp}:`, err);
-            throw err;
-        }
+    async writeString(dp, value, opts) {
+        const frame = await this.sendDataPoint(dp, TUYA_DATA_TYPES.string, getDataBuffer(TUYA_DATA_TYPES.string, value), opts);
+        return frame && getDataValue(frame);
     }
 
     /**
@@ -116,27 +1157,27 @@ class TuyaSpecificClusterDevice extends ZigBeeDevice {
      * 
      * @param {number} dp - The datapoint ID
      * @param {number} value - The enum value to write (must be within the enum range)
-     * @returns {Promise} - Resolves when the command is sent
+     * @param {Object} [opts] - See `sendDataPoint`
+     * @returns {Promise} - Resolves with the value confirmed by the device
      */
-    async writeEnum(dp, value) {
-        const data = Buffer.alloc(1);
-        data.writeUInt8(value, 0);
-        const transid = this.transactionID;
-        this.transactionID = transid + 1;
-        try {
-            this.log(`[Tuya TX] dp=${dp} datatype=enum(4) len=1 transid=${transid} data=0x${data.toString('hex')}`);
-            return await this.zclNode.endpoints[1].clusters.tuya.datapoint({
-                status: 0,
-                transid,
-                dp,
-                datatype: 4,  // Enum datatype
-                length: 1,
-                data
-            });
-        } catch (err) {
-            this.error(`Error writing enum to dp ${dp}:`, err);
-            throw err;
-        }
+    async writeEnum(dp, value, opts) {
+        const frame = await this.sendDataPoint(dp, TUYA_DATA_TYPES.enum, getDataBuffer(TUYA_DATA_TYPES.enum, value), opts);
+        return frame && getDataValue(frame);
+    }
+
+    /**
+     * Sends a bitmap value to the specified datapoint (dp).
+     * 
+     * @param {number} dp - The datapoint ID
+     * @param {number} value - The bitfield to write
+     * @param {Object} [opts] - See `sendDataPoint`, plus:
+     * @param {number} [opts.length] - Size of the bitmap in bytes (1, 2 or 4), defaults to the smallest that fits
+     * @returns {Promise} - Resolves with the value confirmed by the device
+     */
+    async writeBitmap(dp, value, { length, ...opts } = {}) {
+        const data = getDataBuffer(TUYA_DATA_TYPES.bitmap, value, { length });
+        const frame = await this.sendDataPoint(dp, TUYA_DATA_TYPES.bitmap, data, opts);
+        return frame && getDataValue(frame);
     }
 
     /**
@@ -144,25 +1185,12 @@ class TuyaSpecificClusterDevice extends ZigBeeDevice {
      * 
      * @param {number} dp - The datapoint ID
      * @param {Buffer} data - The raw data buffer to write
-     * @returns {Promise} - Resolves when the command is sent
+     * @param {Object} [opts] - See `sendDataPoint`
+     * @returns {Promise} - Resolves with the value confirmed by the device
      */
-    async writeRaw(dp, data) {
-        const transid = this.transactionID;
-        this.transactionID = transid + 1;
-        try {
-            this.log(`[Tuya TX] dp=${dp} datatype=raw(0) len=${data.length} transid=${transid} data=0x${data.toString('hex')}`);
-            return await this.zclNode.endpoints[1].clusters.tuya.datapoint({
-                status: 0,
-                transid,
-                dp,
-                datatype: 0,  // Raw datatype
-                length: data.length,
-                data
-            });
-        } catch (err) {
-            this.error(`Error writing raw data to dp ${dp}:`, err);
-            throw err;
-        }
+    async writeRaw(dp, data, opts) {
+        const frame = await this.sendDataPoint(dp, TUYA_DATA_TYPES.raw, getDataBuffer(TUYA_DATA_TYPES.raw, data), opts);
+        return frame && getDataValue(frame);
     }
 }
 